@@ -1,7 +1,58 @@
+// Fields that later passes hang on nodes (types, collected case labels, the type a compound assignment
+// computes in, the symbol a name refers to); they are not part of the tree and are left out of the JSON form
+const ANALYSIS_FIELDS = ['dataType', 'labels', 'operationType', 'symbol'];
+
 // Base AST Node class
-export class ASTNode { }
+export class ASTNode {
+    constructor() {
+        // Set by the parser: { start: { line, col, offset }, end: { line, col, offset } }
+        this.span = null;
+    }
+
+    // The class name without 'Node': 'BinaryOp' for a BinaryOpNode (see NODE_TYPES)
+    get kind() {
+        return this.constructor.kind;
+    }
+
+    // Child nodes in source order
+    childNodes() {
+        return this.constructor.childFields
+            .flatMap(field => [this[field]].flat())
+            .filter(child => child instanceof ASTNode);
+    }
+
+    // Plain-data form of the subtree. Every node becomes { kind, span, ...fields }, where fields
+    // are the constructor's, under the same names.
+    toJSON() {
+        const json = { kind: this.kind };
+        for (const [key, value] of Object.entries(this)) {
+            if (!ANALYSIS_FIELDS.includes(key)) json[key] = toPlain(value);
+        }
+        return json;
+    }
+
+    // Rebuild a tree from toJSON() output (also after a JSON.stringify/JSON.parse round trip)
+    static fromJSON(json) {
+        if (Array.isArray(json)) return json.map(item => ASTNode.fromJSON(item));
+        if (json === null || typeof json !== 'object' || !('kind' in json)) return json;
+
+        const NodeClass = NODE_CLASSES[json.kind];
+        if (!NodeClass) throw new Error(`Unknown AST node kind '${json.kind}'`);
+        const node = Object.create(NodeClass.prototype);
+        for (const [key, value] of Object.entries(json)) {
+            if (key !== 'kind') node[key] = ASTNode.fromJSON(value);
+        }
+        return node;
+    }
+}
+
+function toPlain(value) {
+    if (value instanceof ASTNode) return value.toJSON();
+    if (Array.isArray(value)) return value.map(toPlain);
+    return value;
+}
 
-// Root of the program
+// Root of the program: functions, prototypes and global variables in source order
 export class ProgramNode extends ASTNode {
     constructor(children) {
         super();
@@ -20,12 +71,25 @@ export class FunctionDefinitionNode extends ASTNode {
     }
 }
 
-// Function parameter: type and name
+// Function prototype (declaration without a body): return type, name and params
+export class FunctionPrototypeNode extends ASTNode {
+    constructor(returnType, name, params) {
+        super();
+        this.returnType = returnType;
+        this.name = name;
+        this.params = params;
+    }
+}
+
+// Function parameter: type, name (may be null in a prototype), array dimensions
+// (expressions; the first may be null as in `int a[]`) and pointer depth (`int **p` has 2)
 export class ParamNode extends ASTNode {
-    constructor(paramType, paramName) {
+    constructor(paramType, paramName, dimensions = [], pointerDepth = 0) {
         super();
         this.paramType = paramType;
         this.paramName = paramName;
+        this.dimensions = dimensions;
+        this.pointerDepth = pointerDepth;
     }
 }
 
@@ -37,22 +101,60 @@ export class BlockNode extends ASTNode {
     }
 }
 
-// Variable declaration with optional value
+// Variable declaration with optional value, array dimensions (int m[3][4] has two)
+// and pointer depth (int *p has 1)
 export class VariableDeclarationNode extends ASTNode {
-    constructor(varType, varName, value = null) {
+    constructor(varType, varName, value = null, dimensions = [], pointerDepth = 0) {
         super();
         this.varType = varType;
         this.varName = varName;
         this.value = value;
+        this.dimensions = dimensions;
+        this.pointerDepth = pointerDepth;
+    }
+}
+
+// Typedef: `typedef unsigned long size_t;` makes the name an alias for the declared type.
+// The declarator is read like a variable's (typedef int Row[4]; has one dimension). A struct defined
+// in the typedef is its `definition`; baseType is null when that struct has no tag.
+export class TypedefNode extends ASTNode {
+    constructor(baseType, name, dimensions = [], pointerDepth = 0, definition = null) {
+        super();
+        this.definition = definition;
+        this.baseType = baseType;
+        this.name = name;
+        this.dimensions = dimensions;
+        this.pointerDepth = pointerDepth;
+    }
+}
+
+// Struct definition: struct name { members }, name null for an anonymous one; each member is a VariableDeclarationNode without a value
+export class StructDefinitionNode extends ASTNode {
+    constructor(name, members) {
+        super();
+        this.name = name;
+        this.members = members;
+    }
+}
+
+// Empty statement: a lone ';' (as in `while (*p++);`)
+export class EmptyStatementNode extends ASTNode { }
+
+// Brace-enclosed initializer: {1, 2, 3} or nested {{1, 2}, {3, 4}}
+export class InitializerListNode extends ASTNode {
+    constructor(elements) {
+        super();
+        this.elements = elements;
     }
 }
 
-// Assignment: left-hand side and right-hand side
+// Assignment: left-hand side, right-hand side and operator ('=' or compound like '+=')
 export class AssignmentNode extends ASTNode {
-    constructor(left, right) {
+    constructor(left, right, op = '=') {
         super();
         this.left = left;
         this.right = right;
+        this.op = op;
     }
 }
 
@@ -84,6 +186,27 @@ export class IdentifierNode extends ASTNode {
     }
 }
 
+// Array subscript: array[index] (keeps the '[' token for error reporting)
+export class ArrayAccessNode extends ASTNode {
+    constructor(array, index, token) {
+        super();
+        this.array = array;
+        this.index = index;
+        this.token = token;
+    }
+}
+
+// Member access: object.member, or pointer->member (keeps the operator token for error reporting)
+export class MemberAccessNode extends ASTNode {
+    constructor(object, member, op, token) {
+        super();
+        this.object = object;
+        this.member = member;
+        this.op = op;
+        this.token = token;
+    }
+}
+
 // String literal
 export class StringLiteralNode extends ASTNode {
     constructor(token) {
@@ -123,6 +246,59 @@ export class ForLoopNode extends ASTNode {
     }
 }
 
+// While loop: condition checked before each iteration
+export class WhileLoopNode extends ASTNode {
+    constructor(condition, body) {
+        super();
+        this.condition = condition;
+        this.body = body;
+    }
+}
+
+// Do-while loop: body runs once before the condition is checked
+export class DoWhileLoopNode extends ASTNode {
+    constructor(body, condition) {
+        super();
+        this.body = body;
+        this.condition = condition;
+    }
+}
+
+// Switch statement: the body is a block in which case labels mark the entry points
+export class SwitchStatementNode extends ASTNode {
+    constructor(discriminant, body, token) {
+        super();
+        this.discriminant = discriminant;
+        this.body = body;
+        this.token = token;
+    }
+}
+
+// `case value:` label inside a switch body; value is null for `default:`
+export class CaseLabelNode extends ASTNode {
+    constructor(value, token) {
+        super();
+        this.value = value;
+        this.token = token;
+    }
+}
+
+// Break statement (keeps its keyword token for error reporting)
+export class BreakStatementNode extends ASTNode {
+    constructor(token) {
+        super();
+        this.token = token;
+    }
+}
+
+// Continue statement (keeps its keyword token for error reporting)
+export class ContinueStatementNode extends ASTNode {
+    constructor(token) {
+        super();
+        this.token = token;
+    }
+}
+
 // Return statement
 export class ReturnStatementNode extends ASTNode {
     constructor(value) {
@@ -131,11 +307,132 @@ export class ReturnStatementNode extends ASTNode {
     }
 }
 
-// Unary operation like !x, -x
+// Placeholder for a statement or declaration that failed to parse; the parser skipped its tokens
+export class ErrorNode extends ASTNode {
+    constructor(message) {
+        super();
+        this.message = message;
+    }
+}
+
+// Unary operation like !x, -x, ++x, &x, *p or (postfix) x++
 export class UnaryOpNode extends ASTNode {
-    constructor(op, arg) {
+    constructor(op, arg, postfix = false) {
         super();
         this.op = op;
         this.arg = arg;
+        this.postfix = postfix;
+    }
+}
+
+// Implicit conversion of `operand` to the arithmetic type named by targetType ('double').
+// The parser never makes these: the semantic analyzer inserts them where C converts a value silently.
+export class ConversionNode extends ASTNode {
+    constructor(operand, targetType) {
+        super();
+        this.operand = operand;
+        this.targetType = targetType;
+    }
+}
+
+// Conditional expression: condition ? whenTrue : whenFalse
+export class TernaryOpNode extends ASTNode {
+    constructor(condition, whenTrue, whenFalse) {
+        super();
+        this.condition = condition;
+        this.whenTrue = whenTrue;
+        this.whenFalse = whenFalse;
+    }
+}
+
+// Every node class with its kind and the fields holding its children, in source order. Kinds are spelled
+// out rather than taken from class names, which do not survive minification. A child field holds a node,
+// null, or an array of nodes (which may contain nulls, like the dimensions of `int a[]`).
+const NODE_TYPES = [
+    [ProgramNode, 'Program', ['children']],
+    [FunctionDefinitionNode, 'FunctionDefinition', ['name', 'params', 'body']],
+    [FunctionPrototypeNode, 'FunctionPrototype', ['name', 'params']],
+    [ParamNode, 'Param', ['paramName', 'dimensions']],
+    [BlockNode, 'Block', ['statements']],
+    [EmptyStatementNode, 'EmptyStatement', []],
+    [VariableDeclarationNode, 'VariableDeclaration', ['varName', 'dimensions', 'value']],
+    [TypedefNode, 'Typedef', ['definition', 'name', 'dimensions']],
+    [StructDefinitionNode, 'StructDefinition', ['name', 'members']],
+    [InitializerListNode, 'InitializerList', ['elements']],
+    [AssignmentNode, 'Assignment', ['left', 'right']],
+    [BinaryOpNode, 'BinaryOp', ['left', 'right']],
+    [NumberNode, 'Number', []],
+    [IdentifierNode, 'Identifier', []],
+    [ArrayAccessNode, 'ArrayAccess', ['array', 'index']],
+    [MemberAccessNode, 'MemberAccess', ['object', 'member']],
+    [StringLiteralNode, 'StringLiteral', []],
+    [FunctionCallNode, 'FunctionCall', ['name', 'args']],
+    [IfStatementNode, 'IfStatement', ['condition', 'ifBody', 'elseBody']],
+    [ForLoopNode, 'ForLoop', ['init', 'condition', 'increment', 'body']],
+    [WhileLoopNode, 'WhileLoop', ['condition', 'body']],
+    [DoWhileLoopNode, 'DoWhileLoop', ['body', 'condition']],
+    [SwitchStatementNode, 'SwitchStatement', ['discriminant', 'body']],
+    [CaseLabelNode, 'CaseLabel', ['value']],
+    [BreakStatementNode, 'BreakStatement', []],
+    [ContinueStatementNode, 'ContinueStatement', []],
+    [ReturnStatementNode, 'ReturnStatement', ['value']],
+    [UnaryOpNode, 'UnaryOp', ['arg']],
+    [TernaryOpNode, 'TernaryOp', ['condition', 'whenTrue', 'whenFalse']],
+    [ConversionNode, 'Conversion', ['operand']],
+    [ErrorNode, 'Error', []],
+];
+for (const [NodeClass, kind, childFields] of NODE_TYPES) {
+    Object.assign(NodeClass, { kind, childFields });
+}
+
+// Node classes by their JSON kind, for ASTNode.fromJSON
+const NODE_CLASSES = Object.fromEntries(NODE_TYPES.map(([NodeClass, kind]) => [kind, NodeClass]));
+
+// Base class for passes over the tree. visit(node) calls the subclass's visit<Kind>Node method
+// (visitBinaryOpNode for a BinaryOp) and returns what it returns; a node without one goes to
+// genericVisit, which visits the children in source order. Optional enter<Kind>Node and
+// leave<Kind>Node hooks run before and after each node of that kind is visited.
+export class Visitor {
+    visit(node) {
+        if (!node) return null;
+        const kind = node.kind;
+        this[`enter${kind}Node`]?.(node);
+        const method = this[`visit${kind}Node`];
+        const result = method ? method.call(this, node) : this.genericVisit(node);
+        this[`leave${kind}Node`]?.(node);
+        return result;
+    }
+
+    genericVisit(node) {
+        node.childNodes().forEach(child => this.visit(child));
+        return null;
+    }
+}
+
+// Visitor that rewrites the tree in place. A visit returns what takes the node's place: another node
+// to replace it, null to remove it, an array of nodes to splice into a list (a block's statements,
+// say), or nothing to keep it. genericVisit transforms every child that way and returns the node.
+export class Transformer extends Visitor {
+    // Transform a whole tree; returns its (possibly replaced) root
+    transform(root) {
+        return this.replacement(root);
+    }
+
+    genericVisit(node) {
+        for (const field of node.constructor.childFields) {
+            const value = node[field];
+            if (Array.isArray(value)) {
+                node[field] = value.flatMap(child => child instanceof ASTNode ? (this.replacement(child) ?? []) : [child]);
+            } else if (value instanceof ASTNode) {
+                node[field] = this.replacement(value);
+            }
+        }
+        return node;
+    }
+
+    // What takes `node`'s place after visiting it
+    replacement(node) {
+        const result = this.visit(node);
+        return result === undefined ? node : result;
     }
 }
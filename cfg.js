@@ -0,0 +1,152 @@
+// cfg.js
+// This file splits each function's three-address code (see ir.js) into basic blocks and connects
+// them into a control flow graph, which can be exported as Graphviz DOT or as JSON adjacency lists.
+
+// Instructions after which control does not simply go on to the next one. `goto[]` is not among
+// them: its table follows it directly, and the table lists where the jump can go.
+const BLOCK_ENDS = ['goto', 'if', 'ifFalse', 'table', 'return'];
+
+// A run of instructions that is only entered at the top and only left at the bottom.
+// Labels stay in the block they start, so the blocks laid end to end are the function's code again.
+export class BasicBlock {
+    constructor(id) {
+        this.id = id;              // 'B0', 'B1', ... in code order, or 'ENTRY' / 'EXIT'
+        this.instructions = [];
+        this.successors = [];
+        this.predecessors = [];
+    }
+
+    // Labels at the top of the block
+    get labels() {
+        return this.instructions.filter(instruction => instruction.op === 'label').map(instruction => instruction.result.value);
+    }
+}
+
+// The blocks of one function between an empty ENTRY block (before its first instruction) and an
+// empty EXIT block (where every return, and falling off the end, leads).
+// Each edge has a kind: 'true' or 'false' for the two ways out of a conditional jump, 'jump' for
+// the other jumps and 'fall' for falling through.
+export class ControlFlowGraph {
+    constructor(name) {
+        this.name = name;
+        this.entry = new BasicBlock('ENTRY');
+        this.exit = new BasicBlock('EXIT');
+        this.blocks = [];
+        this.edges = [];           // { from, to, kind }
+    }
+
+    // ENTRY, the basic blocks in code order, then EXIT
+    get nodes() {
+        return [this.entry, ...this.blocks, this.exit];
+    }
+
+    // Blocks control leaves the function from
+    get exitBlocks() {
+        return this.exit.predecessors;
+    }
+
+    addEdge(from, to, kind) {
+        if (from.successors.includes(to)) return;
+        from.successors.push(to);
+        to.predecessors.push(from);
+        this.edges.push({ from, to, kind });
+    }
+}
+
+// Leaders (the first instruction, a label, and anything right after a jump) start the blocks;
+// a run of labels starts just one
+export function buildCFG(func) {
+    const cfg = new ControlFlowGraph(func.name);
+    const blockOfLabel = new Map();
+    let block = null;
+    func.code.forEach((instruction, i) => {
+        const previous = func.code[i - 1];
+        const isLeader = !previous || BLOCK_ENDS.includes(previous.op) || (instruction.op === 'label' && previous.op !== 'label');
+        if (isLeader) {
+            block = new BasicBlock(`B${cfg.blocks.length}`);
+            cfg.blocks.push(block);
+        }
+        block.instructions.push(instruction);
+        if (instruction.op === 'label') blockOfLabel.set(instruction.result.value, block);
+    });
+
+    const target = label => blockOfLabel.get(label.value);
+    cfg.addEdge(cfg.entry, cfg.blocks[0] ?? cfg.exit, 'fall');
+    cfg.blocks.forEach((block, i) => {
+        const last = block.instructions[block.instructions.length - 1];
+        const next = cfg.blocks[i + 1] ?? cfg.exit;
+        switch (last.op) {
+            case 'goto':
+                cfg.addEdge(block, target(last.result), 'jump');
+                break;
+            case 'if':
+            case 'ifFalse': {
+                const taken = last.op === 'if' ? 'true' : 'false';
+                cfg.addEdge(block, target(last.result), taken);
+                cfg.addEdge(block, next, taken === 'true' ? 'false' : 'true');
+                break;
+            }
+            case 'table':
+                last.targets.forEach(label => cfg.addEdge(block, target(label), 'jump'));
+                break;
+            case 'return':
+                cfg.addEdge(block, cfg.exit, 'jump');
+                break;
+            default:
+                cfg.addEdge(block, next, 'fall');
+        }
+    });
+    return cfg;
+}
+
+// One graph per function of an IRProgram
+export function buildProgramCFG(program) {
+    return program.functions.map(buildCFG);
+}
+
+// Plain-data form: every block with its code and the ids of its neighbours
+export function cfgToJSON(cfg) {
+    return {
+        function: cfg.name,
+        entry: cfg.entry.id,
+        exit: cfg.exit.id,
+        blocks: cfg.nodes.map(block => ({
+            id: block.id,
+            instructions: block.instructions.map(instruction => String(instruction)),
+            successors: block.successors.map(successor => successor.id),
+            predecessors: block.predecessors.map(predecessor => predecessor.id)
+        })),
+        edges: cfg.edges.map(({ from, to, kind }) => ({ from: from.id, to: to.id, kind }))
+    };
+}
+
+// Text inside a double-quoted DOT string
+function dotString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// A Graphviz digraph with one cluster per function; block ids are prefixed with the function name
+// so that every function can have its own B0. Code lines are left-aligned (\l).
+export function toDot(cfgs) {
+    const lines = ['digraph CFG {', '    node [shape=box, fontname="monospace"];'];
+    cfgs.forEach(cfg => {
+        const id = block => `"${dotString(`${cfg.name}.${block.id}`)}"`;
+        lines.push(`    subgraph "cluster_${dotString(cfg.name)}" {`, `        label="${dotString(cfg.name)}";`);
+        cfg.nodes.forEach(block => {
+            if (block === cfg.entry || block === cfg.exit) {
+                lines.push(`        ${id(block)} [label="${block.id}", shape=ellipse];`);
+                return;
+            }
+            const text = [block.id, ...block.instructions.map(instruction => String(instruction))]
+                .map(line => `${dotString(line)}\\l`).join('');
+            lines.push(`        ${id(block)} [label="${text}"];`);
+        });
+        cfg.edges.forEach(({ from, to, kind }) => {
+            const label = kind === 'true' || kind === 'false' ? ` [label="${kind}"]` : '';
+            lines.push(`        ${id(from)} -> ${id(to)}${label};`);
+        });
+        lines.push('    }');
+    });
+    lines.push('}');
+    return lines;
+}
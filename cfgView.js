@@ -0,0 +1,144 @@
+// cfgView.js
+// This file draws a control flow graph (see cfg.js) as SVG markup, laid out in the browser
+// without any graph service: blocks in layers from ENTRY down to EXIT, loops drawn back up the side.
+
+import { escapeHtml } from './utility.js';
+
+const CHAR_WIDTH = 7.8;        // Width of one character of the monospace font at FONT_SIZE
+const FONT_SIZE = 13;
+const LINE_HEIGHT = 17;
+const PADDING = 8;             // Inside a block, around its text
+const LAYER_GAP = 44;          // Between layers
+const NODE_GAP = 28;           // Between blocks in one layer
+const MARGIN = 20;
+
+// Split edges into forward and back edges with a depth-first search from ENTRY (blocks it cannot
+// reach are searched from in code order), and give each block the layer one below the lowest of its
+// forward predecessors. EXIT always gets the bottom layer.
+function layers(cfg) {
+    const backEdges = new Set();
+    const state = new Map();       // Block -> 'active' while on the search path, then 'done'
+    const postorder = [];
+    const search = block => {
+        state.set(block, 'active');
+        block.successors.forEach(successor => {
+            if (state.get(successor) === 'active') backEdges.add(`${block.id}>${successor.id}`);
+            else if (!state.has(successor)) search(successor);
+        });
+        state.set(block, 'done');
+        postorder.push(block);
+    };
+    cfg.nodes.forEach(block => { if (!state.has(block)) search(block); });
+
+    const layer = new Map(cfg.nodes.map(block => [block, 0]));
+    postorder.reverse().forEach(block => {
+        block.successors.forEach(successor => {
+            if (backEdges.has(`${block.id}>${successor.id}`)) return;
+            layer.set(successor, Math.max(layer.get(successor), layer.get(block) + 1));
+        });
+    });
+    const bottom = Math.max(...cfg.nodes.filter(block => block !== cfg.exit).map(block => layer.get(block))) + 1;
+    layer.set(cfg.exit, Math.max(layer.get(cfg.exit), bottom));
+    return { layer, backEdges };
+}
+
+// Text lines of a block: its id, then its code
+function blockLines(cfg, block) {
+    if (block === cfg.entry || block === cfg.exit) return [block.id];
+    return [block.id, ...block.instructions.map(instruction => String(instruction))];
+}
+
+// Where each block goes: { x, y, width, height, lines } with x, y its top-left corner
+function layout(cfg) {
+    const { layer, backEdges } = layers(cfg);
+    const rows = [];
+    cfg.nodes.forEach(block => {
+        const row = layer.get(block);
+        (rows[row] ??= []).push(block);
+    });
+
+    const boxes = new Map();
+    cfg.nodes.forEach(block => {
+        const lines = blockLines(cfg, block);
+        const width = Math.max(...lines.map(line => line.length)) * CHAR_WIDTH + 2 * PADDING;
+        boxes.set(block, { lines, width, height: lines.length * LINE_HEIGHT + 2 * PADDING });
+    });
+
+    // Rows are centred on the widest one
+    const rowWidth = row => row.reduce((sum, block) => sum + boxes.get(block).width, 0) + (row.length - 1) * NODE_GAP;
+    const width = Math.max(...rows.filter(Boolean).map(rowWidth));
+    let y = MARGIN;
+    rows.filter(Boolean).forEach(row => {
+        let x = MARGIN + (width - rowWidth(row)) / 2;
+        const height = Math.max(...row.map(block => boxes.get(block).height));
+        row.forEach(block => {
+            Object.assign(boxes.get(block), { x, y });
+            x += boxes.get(block).width + NODE_GAP;
+        });
+        y += height + LAYER_GAP;
+    });
+
+    return { boxes, backEdges, width: width + 2 * MARGIN, height: y - LAYER_GAP + MARGIN };
+}
+
+// Forward edges run from the bottom of one block to the top of the next; back edges leave from the
+// right side and curve round to the right side of the block they return to
+function edgePath(from, to, isBack) {
+    if (isBack) {
+        const startX = from.x + from.width;
+        const startY = from.y + from.height / 2;
+        const endX = to.x + to.width;
+        const endY = to.y + to.height / 2;
+        const reach = Math.max(startX, endX) + 40;
+        return `M ${startX} ${startY} C ${reach} ${startY}, ${reach} ${endY}, ${endX} ${endY}`;
+    }
+    const startX = from.x + from.width / 2;
+    const startY = from.y + from.height;
+    const endX = to.x + to.width / 2;
+    const endY = to.y;
+    const middle = (startY + endY) / 2;
+    return `M ${startX} ${startY} C ${startX} ${middle}, ${endX} ${middle}, ${endX} ${endY}`;
+}
+
+// Where a 'true'/'false' label goes: just below the block the edge leaves, towards its target
+function labelPosition(from, to, isBack) {
+    if (isBack) return { x: from.x + from.width + 6, y: from.y + from.height / 2 - 4 };
+    const towards = Math.sign((to.x + to.width / 2) - (from.x + from.width / 2));
+    return { x: from.x + from.width / 2 + towards * 14 + 4, y: from.y + from.height + 13 };
+}
+
+export function renderCFG(cfg) {
+    const { boxes, backEdges, width, height } = layout(cfg);
+    // Every function's graph sits in the same page, so each needs an arrowhead id of its own
+    const arrow = `cfg-arrow-${cfg.name}`;
+    const parts = [
+        `<svg class="cfg-graph" xmlns="http://www.w3.org/2000/svg" width="${width + 40}" height="${height}" viewBox="0 0 ${width + 40} ${height}">`,
+        `<defs><marker id="${arrow}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+        '<path d="M 0 0 L 10 5 L 0 10 z" class="cfg-arrowhead"/></marker></defs>'
+    ];
+
+    cfg.edges.forEach(({ from, to, kind }) => {
+        const isBack = backEdges.has(`${from.id}>${to.id}`);
+        const source = boxes.get(from);
+        const target = boxes.get(to);
+        parts.push(`<path class="cfg-edge cfg-edge-${kind}" d="${edgePath(source, target, isBack)}" marker-end="url(#${arrow})"/>`);
+        if (kind === 'true' || kind === 'false') {
+            const { x, y } = labelPosition(source, target, isBack);
+            parts.push(`<text class="cfg-edge-label" x="${x}" y="${y}">${kind}</text>`);
+        }
+    });
+
+    cfg.nodes.forEach(block => {
+        const { x, y, width: boxWidth, height: boxHeight, lines } = boxes.get(block);
+        const isTerminal = block === cfg.entry || block === cfg.exit;
+        parts.push(`<rect class="cfg-block${isTerminal ? ' cfg-terminal' : ''}" x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="${isTerminal ? boxHeight / 2 : 6}"/>`);
+        lines.forEach((line, i) => {
+            const className = i === 0 ? 'cfg-block-id' : 'cfg-code';
+            const baseline = y + PADDING + (i + 1) * LINE_HEIGHT - 4;
+            parts.push(`<text class="${className}" x="${x + PADDING}" y="${baseline}" font-size="${FONT_SIZE}">${escapeHtml(line)}</text>`);
+        });
+    });
+
+    parts.push('</svg>');
+    return parts.join('');
+}
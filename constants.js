@@ -0,0 +1,188 @@
+// constants.js
+// This file evaluates constant expressions at compile time (global initializers, array sizes, ...).
+
+import { NumberNode, UnaryOpNode, BinaryOpNode, TernaryOpNode, ConversionNode } from './astNodes.js';
+import { primitiveType, promote, commonType, operationType } from './types.js';
+
+const FLOATING_TYPES = ['float', 'double', 'long double'];
+
+// Numeric value of a literal token's text: 42, 0x1F, 017, 10u, 1.5f, 'a', '\n'
+export function literalValue(text) {
+    if (text.startsWith("'")) {
+        const body = text.slice(1, -1);
+        if (!body.startsWith('\\')) return body.charCodeAt(0);
+        const simple = { n: 10, t: 9, r: 13, v: 11, f: 12, a: 7, b: 8, '\\': 92, "'": 39, '"': 34, '?': 63 };
+        if (body[1] in simple) return simple[body[1]];
+        if (body[1] === 'x') return parseInt(body.slice(2), 16);
+        return parseInt(body.slice(1), 8);
+    }
+
+    const digits = text.replace(/[uUlL]+$/, '');
+    if (/^0[xX]/.test(digits)) return parseInt(digits, 16);
+    if (/[.eE]/.test(digits)) return parseFloat(digits.replace(/[fF]$/, ''));
+    if (/^0\d/.test(digits)) return parseInt(digits, 8);
+    return parseInt(digits, 10);
+}
+
+// Type of a literal token's text, named as in types.js: 'a' is an int in C, 1.5 a double, 1.5f a float,
+// 10u an unsigned int, 10L a long
+export function literalTypeName(text) {
+    if (text.startsWith("'")) return 'int';
+    if (!/^0[xX]/.test(text) && /[.eE]/.test(text)) {
+        if (/[fF]$/.test(text)) return 'float';
+        return /[lL]$/.test(text) ? 'long double' : 'double';
+    }
+    const suffix = text.match(/[uUlL]*$/)[0].toLowerCase();
+    const size = suffix.includes('ll') ? 'long long' : suffix.includes('l') ? 'long' : 'int';
+    return suffix.includes('u') ? `unsigned ${size}` : size;
+}
+
+// Number of chars in a string literal's array, counting the terminating '\0': "a\n" has 3
+export function stringLiteralLength(text) {
+    return text.slice(1, -1).replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, 'c').length + 1;
+}
+
+// Value of a constant expression, or null if it depends on anything known only at run time
+export function evaluateConstant(node) {
+    if (node instanceof NumberNode) return literalValue(node.value);
+
+    if (node instanceof UnaryOpNode && !['++', '--'].includes(node.op)) {
+        const arg = evaluateConstant(node.arg);
+        if (arg === null) return null;
+        return applyUnary(node.op, arg, constantType(node.arg));
+    }
+
+    // Converting to an integer type truncates toward zero
+    if (node instanceof ConversionNode) {
+        const value = evaluateConstant(node.operand);
+        if (value === null) return null;
+        return FLOATING_TYPES.includes(node.targetType) ? value : wrapInteger(value, node.targetType);
+    }
+
+    if (node instanceof TernaryOpNode) {
+        const cond = evaluateConstant(node.condition);
+        if (cond === null) return null;
+        return evaluateConstant(cond !== 0 ? node.whenTrue : node.whenFalse);
+    }
+
+    if (node instanceof BinaryOpNode) {
+        const left = evaluateConstant(node.left);
+        const right = evaluateConstant(node.right);
+        if (left === null || right === null) return null;
+        return applyBinary(node.op, left, right, binaryOperationType(node));
+    }
+
+    return null;
+}
+
+// Type of a constant expression, named as in types.js, from the literals and conversions it is made
+// of: its value alone cannot tell (1.0 / 2.0 divides two doubles that happen to be whole numbers,
+// and 1u - 2 is an unsigned int that wraps around)
+export function constantType(node) {
+    if (node instanceof NumberNode) return literalTypeName(node.value);
+    if (node instanceof ConversionNode) return node.targetType;
+    if (node instanceof UnaryOpNode) return node.op === '!' ? 'int' : promote(primitiveType(constantType(node.arg))).name;
+    if (node instanceof TernaryOpNode) {
+        return commonType(primitiveType(constantType(node.whenTrue)), primitiveType(constantType(node.whenFalse))).name;
+    }
+    if (node instanceof BinaryOpNode) {
+        if (node.op === ',') return constantType(node.right);
+        return ['<', '>', '<=', '>=', '==', '!=', '&&', '||'].includes(node.op) ? 'int' : binaryOperationType(node);
+    }
+    return 'int';
+}
+
+// Whether a constant expression has a floating type (see constantType)
+export function hasFloatingType(node) {
+    return FLOATING_TYPES.includes(constantType(node));
+}
+
+// Type a binary operator of a constant expression computes in (see operationType)
+function binaryOperationType(node) {
+    return operationType(node.op, primitiveType(constantType(node.left)), primitiveType(constantType(node.right))).name;
+}
+
+// An integer brought into the range of an integer type, as a conversion to it does in C: 4294967295
+// is -1 as an int and -1 is 4294967295 as an unsigned int. Null when the result is too big for a
+// JavaScript number to hold exactly.
+export function wrapInteger(value, typeName) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    const type = primitiveType(typeName);
+    const bits = type.size() * 8;
+    const integer = typeof value === 'bigint' ? value : BigInt(Math.trunc(value));
+    const wrapped = Number(type.isUnsigned() ? BigInt.asUintN(bits, integer) : BigInt.asIntN(bits, integer));
+    return Number.isSafeInteger(wrapped) ? wrapped : null;
+}
+
+// Apply a C unary operator to a constant operand of the type named; null if it cannot be folded
+export function applyUnary(op, a, typeName = 'int') {
+    const floating = FLOATING_TYPES.includes(typeName);
+    const type = floating ? typeName : promote(primitiveType(typeName)).name;
+    switch (op) {
+        case '+': return a;
+        case '-': return floating ? -a : wrapInteger(-a, type);
+        case '!': return a === 0 ? 1 : 0;
+        case '~': return floating ? null : wrapInteger(-a - 1, type);
+    }
+    return null;
+}
+
+// Apply a C binary operator to two constant operands; null if the result is undefined (division by
+// zero, a shift by the width or more) or cannot be held exactly. `typeName` is the type the operator
+// computes in (see operationType): only between integers does / truncate, and integer operands and
+// results wrap around to the width and signedness of that type.
+export function applyBinary(op, a, b, typeName = 'int') {
+    switch (op) {
+        case '&&': return a !== 0 && b !== 0 ? 1 : 0;
+        case '||': return a !== 0 || b !== 0 ? 1 : 0;
+        case ',': return b;
+    }
+    if (FLOATING_TYPES.includes(typeName)) {
+        switch (op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+        }
+        return compare(op, a, b);
+    }
+
+    const x = wrapInteger(a, typeName);
+    const y = wrapInteger(b, typeName);
+    if (x === null || y === null) return null;
+    if (['<', '>', '<=', '>=', '==', '!='].includes(op)) return compare(op, x, y);
+    const bits = BigInt(primitiveType(typeName).size() * 8);
+    const [p, q] = [BigInt(x), BigInt(y)];
+    let result;
+    switch (op) {
+        case '+': result = p + q; break;
+        case '-': result = p - q; break;
+        case '*': result = p * q; break;
+        case '/': case '%':
+            if (q === 0n) return null;
+            result = op === '/' ? p / q : p % q;   // BigInt division truncates toward zero, as C does
+            break;
+        case '<<': case '>>':
+            if (q < 0n || q >= bits) return null;
+            result = op === '<<' ? p << q : p >> q;
+            break;
+        case '&': result = p & q; break;
+        case '|': result = p | q; break;
+        case '^': result = p ^ q; break;
+        default: return null;
+    }
+    return wrapInteger(result, typeName);
+}
+
+// Comparisons give an int, 1 or 0
+function compare(op, a, b) {
+    switch (op) {
+        case '<': return a < b ? 1 : 0;
+        case '>': return a > b ? 1 : 0;
+        case '<=': return a <= b ? 1 : 0;
+        case '>=': return a >= b ? 1 : 0;
+        case '==': return a === b ? 1 : 0;
+        case '!=': return a !== b ? 1 : 0;
+    }
+    return null;
+}
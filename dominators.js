@@ -0,0 +1,114 @@
+// dominators.js
+// This file works out which blocks of a control flow graph (see cfg.js) dominate which: block A
+// dominates B when every path from ENTRY to B goes through A. From that come the dominator tree and
+// the dominance frontiers that SSA construction (see ssa.js) places its φ-functions with.
+
+// Blocks reachable from ENTRY in reverse postorder: every block comes before the blocks it reaches,
+// except along loops
+function reversePostorder(cfg) {
+    const visited = new Set();
+    const postorder = [];
+    const search = block => {
+        visited.add(block);
+        block.successors.forEach(successor => { if (!visited.has(successor)) search(successor); });
+        postorder.push(block);
+    };
+    search(cfg.entry);
+    return postorder.reverse();
+}
+
+// Immediate dominators, the dominator tree and dominance frontiers of one graph. Blocks that ENTRY
+// cannot reach have none of these.
+// Immediate dominators come from the iterative algorithm of Cooper, Harvey and Kennedy: a block's
+// is the nearest common ancestor, in the tree so far, of its predecessors.
+export class DominatorTree {
+    constructor(cfg) {
+        this.cfg = cfg;
+        this.order = reversePostorder(cfg);
+        this.idom = new Map();         // Block -> its immediate dominator (null for ENTRY)
+        this.children = new Map();     // Block -> the blocks it immediately dominates
+        this.frontier = new Map();     // Block -> Set of the blocks where its dominance stops
+        this.computeIdoms();
+        this.order.forEach(block => {
+            this.children.set(block, []);
+            this.frontier.set(block, new Set());
+        });
+        this.order.forEach(block => {
+            if (block !== cfg.entry) this.children.get(this.idom.get(block)).push(block);
+        });
+        this.computeFrontiers();
+    }
+
+    computeIdoms() {
+        const index = new Map(this.order.map((block, i) => [block, i]));
+        const intersect = (a, b) => {
+            while (a !== b) {
+                while (index.get(a) > index.get(b)) a = this.idom.get(a);
+                while (index.get(b) > index.get(a)) b = this.idom.get(b);
+            }
+            return a;
+        };
+
+        this.idom.set(this.cfg.entry, this.cfg.entry);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.order.slice(1).forEach(block => {
+                const processed = block.predecessors.filter(predecessor => this.idom.has(predecessor));
+                const idom = processed.reduce(intersect);
+                if (this.idom.get(block) !== idom) {
+                    this.idom.set(block, idom);
+                    changed = true;
+                }
+            });
+        }
+        this.idom.set(this.cfg.entry, null);
+    }
+
+    // A join point is in the frontier of each block from any of its predecessors up to, but not
+    // including, its immediate dominator
+    computeFrontiers() {
+        this.order.forEach(block => {
+            const predecessors = block.predecessors.filter(predecessor => this.idom.has(predecessor));
+            if (predecessors.length < 2) return;
+            predecessors.forEach(predecessor => {
+                for (let runner = predecessor; runner !== this.idom.get(block); runner = this.idom.get(runner)) {
+                    this.frontier.get(runner).add(block);
+                }
+            });
+        });
+    }
+
+    // Whether `a` dominates `b` (every block dominates itself)
+    dominates(a, b) {
+        for (let block = b; block; block = this.idom.get(block)) {
+            if (block === a) return true;
+        }
+        return false;
+    }
+
+    // Every dominator of a block, from the block itself up to ENTRY
+    dominatorsOf(block) {
+        const dominators = [];
+        for (let current = block; current; current = this.idom.get(current)) dominators.push(current);
+        return dominators;
+    }
+}
+
+// The tree drawn with indentation, one block per line:
+//   ENTRY
+//   └─ B0
+//      ├─ B1
+export function printDominatorTree(tree) {
+    const lines = [];
+    const print = (block, prefix, childPrefix) => {
+        lines.push(`${prefix}${block.id}`);
+        const children = tree.children.get(block);
+        children.forEach((child, i) => {
+            const isLast = i === children.length - 1;
+            print(child, `${childPrefix}${isLast ? '└─ ' : '├─ '}`, `${childPrefix}${isLast ? '   ' : '│  '}`);
+        });
+    };
+    print(tree.cfg.entry, '', '');
+    return lines;
+}
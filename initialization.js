@@ -0,0 +1,188 @@
+// initialization.js
+// This file finds reads of local variables that may not have been given a value yet (definite assignment).
+
+import { Visitor, IdentifierNode } from './astNodes.js';
+import { evaluateConstant } from './constants.js';
+
+// Walks one function body keeping the set of local variables (their symbols) that are definitely
+// assigned on every path to the current point; null means the point cannot be reached at all.
+// Only scalar locals are followed. The first read of each one that may come before its assignment
+// is passed to `onUninitialized`.
+export class InitializationAnalyzer extends Visitor {
+    constructor(onUninitialized) {
+        super();
+        this.onUninitialized = onUninitialized;
+        this.assigned = new Set();
+        this.tracked = new Set();      // Locals declared without an initializer
+        this.reported = new Set();
+        this.targets = [];             // Enclosing loops and switches, innermost last: { isLoop, breaks, entry }
+    }
+
+    analyze(body) {
+        this.visit(body);
+    }
+
+    // Paths meeting: a variable is assigned afterwards only if every path that gets there assigned it
+    merge(a, b) {
+        if (a === null) return b && new Set(b);
+        if (b === null) return new Set(a);
+        return new Set([...a].filter(symbol => b.has(symbol)));
+    }
+
+    copy() {
+        return this.assigned && new Set(this.assigned);
+    }
+
+    assign(symbol) {
+        if (symbol) this.assigned?.add(symbol);
+    }
+
+    visitVariableDeclarationNode(node) {
+        node.dimensions.forEach(dim => this.visit(dim));
+        this.visit(node.value);
+        const symbol = node.varName.symbol;
+        if (!symbol?.dataType?.isScalar()) return;
+        if (node.value) this.assign(symbol);
+        else this.tracked.add(symbol);
+    }
+
+    // A name read as a value
+    visitIdentifierNode(node) {
+        const symbol = node.symbol;
+        if (!this.tracked.has(symbol) || !this.assigned || this.assigned.has(symbol) || this.reported.has(symbol)) return;
+        this.reported.add(symbol);
+        this.onUninitialized(node);
+    }
+
+    visitAssignmentNode(node) {
+        if (!(node.left instanceof IdentifierNode)) {
+            this.genericVisit(node);
+            return;
+        }
+        if (node.op !== '=') this.visit(node.left); // x += 1 reads x
+        this.visit(node.right);
+        this.assign(node.left.symbol);
+    }
+
+    // Taking a variable's address lets anything set it, so from then on it counts as assigned
+    visitUnaryOpNode(node) {
+        if (node.op === '&' && node.arg instanceof IdentifierNode) {
+            this.assign(node.arg.symbol);
+            return;
+        }
+        this.visit(node.arg);
+    }
+
+    // The right operand of && and || may not run
+    visitBinaryOpNode(node) {
+        this.visit(node.left);
+        if (node.op !== '&&' && node.op !== '||') {
+            this.visit(node.right);
+            return;
+        }
+        const before = this.copy();
+        this.visit(node.right);
+        this.assigned = this.merge(before, this.assigned);
+    }
+
+    visitTernaryOpNode(node) {
+        this.visit(node.condition);
+        this.assigned = this.branches(node.whenTrue, node.whenFalse);
+    }
+
+    visitIfStatementNode(node) {
+        this.visit(node.condition);
+        this.assigned = this.branches(node.ifBody, node.elseBody);
+    }
+
+    // Visit two alternatives from the same starting point (either may be null) and merge where they end
+    branches(first, second) {
+        const start = this.copy();
+        this.visit(first);
+        const afterFirst = this.assigned;
+        this.assigned = start;
+        this.visit(second);
+        return this.merge(afterFirst, this.assigned);
+    }
+
+    visitWhileLoopNode(node) {
+        this.visit(node.condition);
+        this.visitLoopBody(node.body, node.condition);
+    }
+
+    visitForLoopNode(node) {
+        this.visit(node.init);
+        this.visit(node.condition);
+        this.visitLoopBody(node.body, node.condition, node.increment);
+    }
+
+    // The body may run no times: the loop is left with what was assigned before it when the condition
+    // fails, merged with whatever each break carries out. The increment and the condition after it are
+    // reached from the end of the body and from every continue.
+    visitLoopBody(body, condition, increment = null) {
+        const exit = this.alwaysTrue(condition) ? null : this.copy();
+        const target = this.visitTarget(body, true, exit);
+        this.assigned = target.continues.reduce((state, continueState) => this.merge(state, continueState), this.assigned);
+        this.visit(increment);
+        this.visit(condition);
+        this.assigned = target.breaks.reduce((state, breakState) => this.merge(state, breakState), exit);
+    }
+
+    // The body runs at least once, so its assignments count when the condition ends the loop
+    visitDoWhileLoopNode(node) {
+        const target = this.visitTarget(node.body, true, null);
+        this.assigned = target.continues.reduce((state, continueState) => this.merge(state, continueState), this.assigned);
+        this.visit(node.condition);
+        const exit = this.alwaysTrue(node.condition) ? null : this.assigned;
+        this.assigned = target.breaks.reduce((state, breakState) => this.merge(state, breakState), exit);
+    }
+
+    // Each case label is entered from the switch itself; without a default, so is the end of the switch
+    visitSwitchStatementNode(node) {
+        this.visit(node.discriminant);
+        const entry = this.copy();
+        this.assigned = null; // Nothing before the first label runs
+        const target = this.visitTarget(node.body, false, entry);
+        const hasDefault = (node.labels ?? []).some(label => !label.value);
+        const exit = hasDefault ? this.assigned : this.merge(this.assigned, entry);
+        this.assigned = target.breaks.reduce((state, breakState) => this.merge(state, breakState), exit);
+    }
+
+    visitCaseLabelNode(node) {
+        const target = this.targets.findLast(t => !t.isLoop);
+        if (target) this.assigned = this.merge(this.assigned, target.entry);
+    }
+
+    // Visit a loop body or switch body that break and continue statements leave
+    visitTarget(body, isLoop, entry) {
+        const target = { isLoop, entry, breaks: [], continues: [] };
+        this.targets.push(target);
+        this.visit(body);
+        this.targets.pop();
+        return target;
+    }
+
+    visitBreakStatementNode(node) {
+        const target = this.targets[this.targets.length - 1];
+        if (target && this.assigned) target.breaks.push(this.assigned);
+        this.assigned = null;
+    }
+
+    visitContinueStatementNode(node) {
+        const loop = this.targets.findLast(target => target.isLoop);
+        if (loop && this.assigned) loop.continues.push(this.assigned);
+        this.assigned = null;
+    }
+
+    visitReturnStatementNode(node) {
+        this.visit(node.value);
+        this.assigned = null;
+    }
+
+    // A missing condition (for (;;)) counts as true
+    alwaysTrue(condition) {
+        if (!condition) return true;
+        const value = evaluateConstant(condition);
+        return value !== null && value !== 0;
+    }
+}
@@ -0,0 +1,157 @@
+// ir.js
+// This file describes the intermediate representation the TAC generator builds: instructions
+// { op, arg1, arg2, result } over typed operands, grouped per function (see irPrinters.js for its forms).
+
+// What each instruction means, and how it reads as text:
+//
+//   op                arg1      arg2      result    text
+//   + - * / % ...     a         b         x         x = a + b             (`type` names the type it computes
+//   - ! ~             a                   x         x = -a                 in, for arithmetic operands)
+//   =                 a                   x         x = a
+//   cast              a                   x         x = (double) a        (`type` names the target type)
+//   addr              v                   x         x = &v
+//   =[]               base      offset    x         x = base[offset]
+//   []=               a         offset    base      base[offset] = a
+//   =*                p                   x         x = *p
+//   *=                a                   p         *p = a
+//   param             a                             param a
+//   call              f         n         x         x = call f, n
+//   return            [a]                           return a
+//   label                                 L         L:
+//   goto                                  L         goto L
+//   if, ifFalse       a                   L         ifFalse a goto L
+//   goto[]            index               table     goto table[index]
+//   table                                 table     table = {L1, L2}      (`targets` lists the labels)
+//   phi                                   x         x = φ(a [B1], b [B2]) (SSA only: `sources` pairs each
+//                                                                          predecessor block with its value)
+
+// A temporary (t0), named variable (x), constant (5, "text") or label (L0, a function name)
+export class Operand {
+    constructor(kind, value) {
+        this.kind = kind;
+        this.value = value;
+    }
+
+    toString() {
+        return String(this.value);
+    }
+}
+
+export const temp = name => new Operand('temp', name);
+export const variable = name => new Operand('variable', name);
+export const constant = value => new Operand('constant', value);
+export const label = name => new Operand('label', name);
+
+// Operators whose text form puts the operator in front of a single operand
+const UNARY_OPERATORS = ['-', '!', '~'];
+
+export class Instruction {
+    constructor(op, arg1 = null, arg2 = null, result = null, details = {}) {
+        this.op = op;
+        this.arg1 = arg1;
+        this.arg2 = arg2;
+        this.result = result;
+        Object.assign(this, details);   // type (cast, arithmetic), targets (table), sources (phi)
+    }
+
+    // The instruction as one line of three-address code
+    toString() {
+        const { op, arg1, arg2, result } = this;
+        switch (op) {
+            case '=': return `${result} = ${arg1}`;
+            case 'cast': return `${result} = (${this.type}) ${arg1}`;
+            case 'addr': return `${result} = &${arg1}`;
+            case '=[]': return `${result} = ${arg1}[${arg2}]`;
+            case '[]=': return `${result}[${arg2}] = ${arg1}`;
+            case '=*': return `${result} = *${arg1}`;
+            case '*=': return `*${result} = ${arg1}`;
+            case 'param': return `param ${arg1}`;
+            case 'call': return `${result} = call ${arg1}, ${arg2}`;
+            case 'return': return arg1 ? `return ${arg1}` : 'return';
+            case 'label': return `${result}:`;
+            case 'goto': return `goto ${result}`;
+            case 'if': case 'ifFalse': return `${op} ${arg1} goto ${result}`;
+            case 'goto[]': return `goto ${result}[${arg1}]`;
+            case 'table': return `${result} = {${this.targets.join(', ')}}`;
+            case 'phi': return `${result} = φ(${this.sources.map(({ block, value }) => `${value} [${block}]`).join(', ')})`;
+            default:
+                if (arg2 === null && UNARY_OPERATORS.includes(op)) return `${result} = ${op}${arg1}`;
+                return `${result} = ${arg1} ${op} ${arg2}`;
+        }
+    }
+}
+
+// Instructions whose result operand is not written
+const NO_DEFINITION = ['[]=', '*=', 'label', 'goto', 'if', 'ifFalse', 'goto[]', 'table', 'param', 'return'];
+
+// Temps and named variables hold values; constants and labels do not
+export function isValue(operand) {
+    return operand?.kind === 'temp' || operand?.kind === 'variable';
+}
+
+// Tells a temp and a variable of the same name apart
+export function operandKey(operand) {
+    return `${operand.kind}:${operand.value}`;
+}
+
+// Fields of an instruction that are read as values, and so can be replaced by an equal value.
+// The variable in &x and the arrays in a[i] are locations, not values; a phi reads its sources.
+export function readFields(instruction) {
+    switch (instruction.op) {
+        case 'addr': case 'call': case 'label': case 'goto': case 'table': case 'phi': return [];
+        case '=[]': return ['arg2'];
+        case '*=': return ['arg1', 'result'];
+        case 'if': case 'ifFalse': case 'goto[]': case 'param': case 'return': return ['arg1'];
+        default: return ['arg1', 'arg2'];
+    }
+}
+
+// The value an instruction writes, if any
+export function definition(instruction) {
+    if (NO_DEFINITION.includes(instruction.op) || !isValue(instruction.result)) return null;
+    return instruction.result;
+}
+
+// Keys of the variables of a function that live in memory rather than in a value: globals (any call
+// may write them), variables whose address is taken (a store through a pointer may) and arrays and
+// structs (written a member at a time)
+export function memoryVariables(func, globals) {
+    const inMemory = new Set(globals.map(name => `variable:${name}`));
+    func.code.forEach(instruction => {
+        if (instruction.op === 'addr' || instruction.op === '=[]') inMemory.add(operandKey(instruction.arg1));
+        if (instruction.op === '[]=') inMemory.add(operandKey(instruction.result));
+    });
+    return inMemory;
+}
+
+// The code of one function, in order
+export class IRFunction {
+    constructor(name) {
+        this.name = name;
+        this.code = [];
+    }
+}
+
+// A global in the data section: one value per scalar slot, in memory order ([5] for int x = 5)
+export class IRGlobal {
+    constructor(name, size, values, isAggregate) {
+        this.name = name;
+        this.size = size;
+        this.values = values;
+        this.isAggregate = isAggregate;
+    }
+
+    // x = 5, or a[40] = {1, 2, 3} for arrays and structs (size in bytes, the rest zero-filled)
+    toString() {
+        if (!this.isAggregate) return `${this.name} = ${this.values[0]}`;
+        return `${this.name}[${this.size}] = {${this.values.join(', ')}}`;
+    }
+}
+
+// A whole translated program: its data section and its functions in source order
+export class IRProgram {
+    constructor() {
+        this.globals = [];
+        this.functions = [];
+    }
+}
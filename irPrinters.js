@@ -0,0 +1,160 @@
+// irPrinters.js
+// This file renders an IRProgram (see ir.js) in the textbook forms of three-address code:
+// plain text, quadruples, triples and indirect triples. Each printer returns a list of lines.
+
+// Data section ahead of the code, the same in every form
+function dataSection(program) {
+    if (program.globals.length === 0) return [];
+    return ['.data', ...program.globals.map(global => String(global)), '.text'];
+}
+
+// Fixed-width columns, so a listing reads as a table
+function columns(cells, widths) {
+    return cells.map((cell, i) => String(cell ?? '').padEnd(widths[i])).join(' ').trimEnd();
+}
+
+const QUADRUPLE_WIDTHS = [5, 8, 12, 12, 12];
+const TRIPLE_WIDTHS = [5, 8, 14, 14];
+
+// x = a + b, one instruction per line, each function under its name
+export function printText(program) {
+    return [
+        ...dataSection(program),
+        ...program.functions.flatMap(func => [`${func.name}:`, ...func.code.map(instruction => String(instruction))])
+    ];
+}
+
+// (op, arg1, arg2, result) rows; jumps name their target label in the result column
+export function printQuadruples(program) {
+    return [
+        ...dataSection(program),
+        ...program.functions.flatMap(func => [
+            `${func.name}:`,
+            columns(['#', 'op', 'arg1', 'arg2', 'result'], QUADRUPLE_WIDTHS),
+            ...func.code.map((instruction, i) => columns([
+                `(${i})`, quadrupleOp(instruction), instruction.arg1, instruction.arg2, instruction.result
+            ], QUADRUPLE_WIDTHS))
+        ])
+    ];
+}
+
+function quadrupleOp(instruction) {
+    if (instruction.op === 'cast') return `(${instruction.type})`;
+    if (instruction.op === 'table') return `table {${instruction.targets.join(', ')}}`;
+    return instruction.op;
+}
+
+// (op, arg1, arg2) rows: a value is referred to by the number of the triple that computes it
+export function printTriples(program) {
+    return [
+        ...dataSection(program),
+        ...program.functions.flatMap(func => [`${func.name}:`, ...tripleLines(toTriples(func.code))])
+    ];
+}
+
+// Triples, plus the statement list that points into them (the order an optimizer would rearrange)
+export function printIndirectTriples(program) {
+    return [
+        ...dataSection(program),
+        ...program.functions.flatMap(func => {
+            const triples = toTriples(func.code);
+            const statements = triples.map((triple, i) => columns([`[${i}]`, `(${i})`], TRIPLE_WIDTHS));
+            return [`${func.name}:`, 'statement list:', ...statements, 'triples:', ...tripleLines(triples)];
+        })
+    ];
+}
+
+function tripleLines(triples) {
+    return [
+        columns(['#', 'op', 'arg1', 'arg2'], TRIPLE_WIDTHS),
+        ...triples.map((triple, i) => columns([`(${i})`, triple.op, triple.arg1, triple.arg2], TRIPLE_WIDTHS))
+    ];
+}
+
+// A reference to the triple that computes a value or starts at a label
+class TripleReference {
+    constructor(index) {
+        this.index = index;
+    }
+
+    toString() {
+        return `(${this.index})`;
+    }
+}
+
+// Translate one function's quadruples to triples { op, arg1, arg2 }.
+// A temp assigned once becomes a reference to its triple. One assigned on several paths (the
+// result of ?:) is kept by name, like a variable, since no single triple computes it.
+// Storing into a variable takes an extra (=, x, value) triple, and a[i] = v a ([]=, a, i) triple
+// followed by (=, that triple, v). Labels disappear: jumps refer to the triple after the label.
+function toTriples(code) {
+    const assignments = new Map();
+    code.forEach(({ result }) => {
+        if (result?.kind === 'temp') assignments.set(result.value, (assignments.get(result.value) ?? 0) + 1);
+    });
+
+    const triples = [];
+    const values = new Map();      // Temp name -> reference to its triple
+    const labels = new Map();      // Label name -> index of the triple after it
+    const operand = value => (value?.kind === 'temp' && values.get(value.value)) || value;
+    const add = (op, arg1 = null, arg2 = null) => {
+        triples.push({ op, arg1: operand(arg1), arg2: operand(arg2) });
+        return new TripleReference(triples.length - 1);
+    };
+
+    code.forEach(instruction => {
+        const { op, arg1, arg2, result } = instruction;
+        switch (op) {
+            case 'label':
+                labels.set(result.value, triples.length);
+                return;
+            case 'goto':
+                add(op, result);
+                return;
+            case 'if': case 'ifFalse':
+                add(op, arg1, result);
+                return;
+            case 'goto[]':
+                add(op, result, arg1);
+                return;
+            case 'table':
+                labels.set(result.value, triples.length);
+                add(op, `{${instruction.targets.join(', ')}}`);
+                return;
+            case 'param': case 'return':
+                add(op, arg1);
+                return;
+            case '[]=':
+                add('=', add('[]=', result, arg2), arg1);
+                return;
+            case '*=':
+                add('*=', result, arg1);
+                return;
+        }
+
+        const tripleOp = op === 'cast' ? `(${instruction.type})` : op;
+        if (result.kind === 'temp' && assignments.get(result.value) === 1) {
+            values.set(result.value, add(tripleOp, arg1, arg2));
+        } else if (op === '=') {
+            add('=', result, arg1);
+        } else {
+            add('=', result, add(tripleOp, arg1, arg2));
+        }
+    });
+
+    // Jump targets are only known once every label has been placed
+    const resolve = value => {
+        if (value?.kind === 'label' && labels.has(value.value)) return new TripleReference(labels.get(value.value));
+        if (typeof value === 'string') return value.replace(/\w+/g, name => labels.has(name) ? `(${labels.get(name)})` : name);
+        return value;
+    };
+    return triples.map(triple => ({ ...triple, arg1: resolve(triple.arg1), arg2: resolve(triple.arg2) }));
+}
+
+// Every form the UI offers, by the name it shows
+export const IR_PRINTERS = {
+    'Three-address code': printText,
+    'Quadruples': printQuadruples,
+    'Triples': printTriples,
+    'Indirect triples': printIndirectTriples
+};
@@ -1,49 +1,166 @@
 // lexer.js
 // This file contains the Lexer class, which is responsible for tokenizing the source code.
 
+import { formatPosition } from './utility.js';
+
+// Token types that carry no meaning for the parser but are kept for tooling (formatters, highlighters)
+export const TRIVIA_TYPES = ['COMMENT'];
+
+// Well-formed numeric literals; anything else that looks like a number is reported
+const FLOAT_FORMS = /^((\d+\.\d*|\.\d+)([eE][+-]?\d+)?|\d+[eE][+-]?\d+)[fFlL]?$/;
+const INT_FORMS = /^(0[xX][0-9a-fA-F]+|0[0-7]*|[1-9]\d*)([uU][lL]{0,2}|[lL]{1,2}[uU]?)?$/;
+
+// Token patterns in priority order; all sticky so they match exactly at the cursor
+const TOKEN_SPECS = [
+    { type: 'COMMENT', regex: /\/\/[^\n]*|\/\*[\s\S]*?(\*\/|$)/y },
+    // pp-number: classified as FLOAT_LIT or INT_LIT in checkToken()
+    { type: 'NUMBER', regex: /\.?\d([eEpP][+-]|[\w.])*/y },
+    { type: 'STRING_LIT', regex: /"(\\.|[^"\\\n])*("|(?=\n)|$)/y },
+    { type: 'CHAR_LIT', regex: /'(\\.|[^'\\\n])*('|(?=\n)|$)/y },
+    { type: 'KEYWORD', regex: /\b(int|void|char|short|long|float|double|signed|unsigned|const|typedef|if|else|while|do|for|break|continue|return|printf|struct|switch|case|default)\b/y },
+    { type: 'IDENTIFIER', regex: /[a-zA-Z_][a-zA-Z0-9_]*/y },
+    { type: 'OPERATOR', regex: /->|<<=|>>=|\+\+|--|<<|>>|==|!=|<=|>=|&&|\|\||[+\-*/%&|^]=|[+\-*/%=<>!~&|^?.]/y },
+    { type: 'SEPARATOR', regex: /[\(\)\{\}\[\];,:]/y },
+];
+const WHITESPACE = /\s+/y;
+
+// Escape sequences C accepts inside string and char literals
+const ESCAPE_SEQUENCE = /\\([0-7]{1,3}|[ntrvfab\\'"?]|x[0-9a-fA-F]+)/y;
+
 export class Lexer {
-    constructor(code) { this.code = code; }
+    // `origins` (from the Preprocessor) maps each line of `code` back to its original file and line
+    constructor(code, origins = null) {
+        this.code = code;
+        this.origins = origins;
+        this.errors = [];
+    }
 
+    // Translate a line of the lexed code to its position in the original sources
+    locate(line) {
+        const origin = this.origins?.[line - 1];
+        return origin ? { line: origin.line, file: origin.file } : { line, file: null };
+    }
+
+    // Record a lexical error; lexing carries on so all problems surface at once
+    error(message, line, col) {
+        const origin = this.locate(line);
+        this.errors.push({
+            severity: 'error',
+            message: `Lexical Error: ${message} at ${formatPosition({ ...origin, col })}`,
+            line: origin.line,
+            col,
+            file: origin.file
+        });
+    }
+
+    // Single left-to-right scan: every spec is a sticky regex tried at the cursor,
+    // so no substring copies are made and lexing stays linear in the input size
     tokenize() {
-        const tokens = []; const tokenSpecs = [
-            { type: 'FLOAT_LIT', regex: /^\d+\.\d+/ }, { type: 'INT_LIT', regex: /^\d+/ },
-            { type: 'STRING_LIT', regex: /^"[^"]*"/ },
-            { type: 'KEYWORD', regex: /^\b(int|void|if|else|while|for|return|printf)\b/ },
-            { type: 'IDENTIFIER', regex: /^[a-zA-Z_][a-zA-Z0-9_]*/ },
-            { type: 'OPERATOR', regex: /^(\+\+|--|==|!=|<=|>=|\+=|-=|\*=|\/=|&&|\|\||[+\-*/=<>!])/ },
-            { type: 'SEPARATOR', regex: /^[\(\)\{\};,]/ }, { type: 'MISMATCH', regex: /^./ },
-        ];
-
-        let remainingCode = this.code;
+        const code = this.code;
+        const tokens = [];
+
+        this.errors = [];
+        let offset = 0;
         let line = 1, col = 1;
 
-        while (remainingCode.length > 0) {
-            const whitespaceMatch = remainingCode.match(/^\s+/);
-            if (whitespaceMatch) {
-                const ws = whitespaceMatch[0];
-                const newlines = (ws.match(/\n/g) || []).length;
-                if (newlines > 0) { line += newlines; col = ws.length - ws.lastIndexOf('\n'); }
-                else { col += ws.length; }
-                remainingCode = remainingCode.substring(ws.length);
-                if (remainingCode.length === 0) break;
+        // Move the cursor (and line/col) past a piece of consumed source text
+        const advance = (text) => {
+            offset += text.length;
+            const lastNewline = text.lastIndexOf('\n');
+            if (lastNewline === -1) { col += text.length; return; }
+            for (let i = 0; i <= lastNewline; i++) if (text[i] === '\n') line++;
+            col = text.length - lastNewline;
+        };
+
+        while (offset < code.length) {
+            WHITESPACE.lastIndex = offset;
+            const ws = WHITESPACE.exec(code);
+            if (ws) {
+                advance(ws[0]);
+                if (offset >= code.length) break;
             }
 
             let matched = false;
-            for (const spec of tokenSpecs) {
-                const match = remainingCode.match(spec.regex);
+            for (const spec of TOKEN_SPECS) {
+                spec.regex.lastIndex = offset;
+                const match = spec.regex.exec(code);
                 if (match) {
                     const value = match[0];
-                    tokens.push({ type: spec.type, value, line, col });
-                    col += value.length;
-                    remainingCode = remainingCode.substring(value.length);
+                    const token = { type: spec.type, value, line, col, offset, length: value.length };
+                    if (TRIVIA_TYPES.includes(spec.type)) token.trivia = true;
+                    this.checkToken(token);
+                    if (this.origins) {
+                        const origin = this.locate(line);
+                        token.line = origin.line;
+                        if (origin.file) token.file = origin.file;
+                    }
+                    tokens.push(token);
+                    advance(value);
                     matched = true;
                     break;
                 }
             }
-            if (!matched && remainingCode.length > 0) {
-                throw new Error("Lexer error: " + remainingCode.substring(0, 10));
+            if (!matched) {
+                // Skip the stray character and keep going
+                this.error(`Unexpected character '${code[offset]}'`, line, col);
+                advance(code[offset]);
             }
         }
         return tokens;
     }
+
+    // Validate a freshly matched token, fixing up its type where needed
+    checkToken(token) {
+        const { value, line, col } = token;
+
+        switch (token.type) {
+            case 'COMMENT':
+                if (value.startsWith('/*') && !value.endsWith('*/')) {
+                    this.error("Unterminated comment", line, col);
+                }
+                break;
+
+            case 'NUMBER':
+                if (FLOAT_FORMS.test(value)) {
+                    token.type = 'FLOAT_LIT';
+                } else {
+                    token.type = 'INT_LIT';
+                    if (!INT_FORMS.test(value)) {
+                        const invalid = /^0[0-7]*[89]/.test(value)
+                            ? `Invalid digit in octal constant '${value}'`
+                            : `Invalid numeric literal '${value}'`;
+                        this.error(invalid, line, col);
+                    }
+                }
+                break;
+
+            case 'STRING_LIT':
+            case 'CHAR_LIT': {
+                const quote = value[0];
+                const kind = quote === '"' ? 'string' : 'character';
+                const closed = value.slice(1).replace(/\\./g, '').endsWith(quote);
+                const body = closed ? value.slice(1, -1) : value.slice(1);
+
+                if (!closed) this.error(`Unterminated ${kind} literal`, line, col);
+
+                let length = 0;
+                for (let i = 0; i < body.length; i++, length++) {
+                    if (body[i] !== '\\') continue;
+                    ESCAPE_SEQUENCE.lastIndex = i;
+                    const escape = ESCAPE_SEQUENCE.exec(body);
+                    if (escape) {
+                        i += escape[0].length - 1;
+                    } else {
+                        this.error(`Unknown escape sequence '\\${body[i + 1] ?? ''}'`, line, col + 1 + i);
+                        i++;
+                    }
+                }
+
+                if (quote === "'" && closed && length !== 1) {
+                    this.error(length === 0 ? "Empty character constant" : "Multi-character character constant", line, col);
+                }
+                break;
+            }
+        }
+    }
 }
@@ -0,0 +1,402 @@
+// optimizer.js
+// This file improves three-address code (see ir.js) without regard to the target machine. Every pass
+// turns a function's code into new code, leaving the old one untouched, and says what it changed.
+
+import { Instruction, IRFunction, IRProgram, constant, isValue, operandKey, readFields, definition, memoryVariables } from './ir.js';
+import { buildCFG } from './cfg.js';
+import { literalValue, literalTypeName, applyUnary, applyBinary, wrapInteger } from './constants.js';
+
+// The whole pipeline runs again while a round still changes something, at most this many times
+const MAX_ROUNDS = 10;
+
+const FLOATING_TYPES = ['float', 'double', 'long double'];
+// Operators whose operands can be swapped; their expressions are compared in a fixed order
+const COMMUTATIVE_OPERATORS = ['+', '*', '==', '!=', '&', '|', '^'];
+const UNARY_OPERATORS = ['-', '!', '~'];
+// Instructions that compute a value from their operands alone
+const PURE_OPERATORS = ['+', '-', '*', '/', '%', '<<', '>>', '&', '|', '^', '<', '>', '<=', '>=', '==', '!=', '!', '~', 'cast'];
+
+// -----------------------
+// Instructions and operands
+// -----------------------
+
+// A copy of an instruction with some fields replaced (instructions are shared between versions of the code)
+function rebuild(instruction, fields) {
+    return Object.assign(Object.create(Instruction.prototype), instruction, fields);
+}
+
+function copyInstruction(instruction, value) {
+    return new Instruction('=', value, null, instruction.result);
+}
+
+function sameOperand(a, b) {
+    return a?.kind === b?.kind && a?.value === b?.value;
+}
+
+// Value of a numeric constant (42, '1.5f', 'a'); null for anything else, strings included
+function numericValue(operand) {
+    if (operand?.kind !== 'constant') return null;
+    if (typeof operand.value === 'number') return operand.value;
+    if (operand.value.startsWith('"')) return null;
+    const value = literalValue(operand.value);
+    return Number.isNaN(value) ? null : value;
+}
+
+function isFloatingConstant(operand) {
+    return operand?.kind === 'constant' && typeof operand.value === 'string' && !operand.value.startsWith("'") && FLOATING_TYPES.includes(literalTypeName(operand.value));
+}
+
+// A computed constant. Floating-point results are written as literals (2.0, 0.6666666666666666, 1e+21):
+// a plain number reads as an integer, so a later fold would switch to integer arithmetic.
+function folded(value, floating) {
+    if (!floating) return constant(value);
+    const text = String(value);
+    return constant(/[.e]/.test(text) ? text : `${text}.0`);
+}
+
+// The type an arithmetic instruction computes in (see ir.js). Code that does not say is taken to compute
+// in double when an operand is a floating constant, and otherwise in long, as wide as an address.
+function computedType(instruction) {
+    if (instruction.type) return instruction.type;
+    return isFloatingConstant(instruction.arg1) || isFloatingConstant(instruction.arg2) ? 'double' : 'long';
+}
+
+// -----------------------
+// Facts about a function
+// -----------------------
+
+// Calls and stores into memory may change any variable that lives there (see memoryVariables)
+function clobbers(instruction) {
+    return instruction.op === 'call' || instruction.op === '*=' || instruction.op === '[]=';
+}
+
+// Facts are Maps from a key to a value; two sets of facts agree if they have the same entries
+function sameFacts(a, b) {
+    return a.size === b.size && [...a].every(([key, value]) => b.has(key) && String(b.get(key)) === String(value));
+}
+
+// Forward analysis over a function's control flow graph where a fact holds at the top of a block
+// only if it holds at the bottom of every predecessor (available expressions, constants, copies).
+// `visit(instruction, facts)` updates the facts in place and returns the instruction, rewritten
+// with what the facts say; it is run again on each block with the final facts to rewrite the code.
+function forwardPass(func, visit) {
+    const cfg = buildCFG(func);
+    const bottoms = new Map([[cfg.entry, new Map()]]);     // Not there yet: no path analyzed so far
+    const topOf = block => {
+        const known = block.predecessors.map(predecessor => bottoms.get(predecessor)).filter(Boolean);
+        if (known.length === 0) return new Map();
+        const [first, ...rest] = known;
+        return new Map([...first].filter(([key, value]) => rest.every(other => other.has(key) && String(other.get(key)) === String(value))));
+    };
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        cfg.blocks.forEach(block => {
+            const facts = topOf(block);
+            block.instructions.forEach(instruction => visit(instruction, facts));
+            if (!bottoms.has(block) || !sameFacts(bottoms.get(block), facts)) {
+                bottoms.set(block, facts);
+                changed = true;
+            }
+        });
+    }
+
+    const changes = [];
+    const code = cfg.blocks.flatMap(block => {
+        const facts = topOf(block);
+        return block.instructions.map(instruction => {
+            const rewritten = visit(instruction, facts);
+            if (String(rewritten) !== String(instruction)) changes.push(`${instruction}  →  ${rewritten}`);
+            return rewritten;
+        });
+    });
+    return { code, changes };
+}
+
+// Replace the values an instruction reads with what `replacement(operand)` gives (undefined keeps one)
+function replaceReads(instruction, replacement) {
+    const fields = {};
+    readFields(instruction).forEach(field => {
+        const operand = instruction[field];
+        if (!isValue(operand)) return;
+        const value = replacement(operand);
+        if (value !== undefined) fields[field] = value;
+    });
+    return Object.keys(fields).length > 0 ? rebuild(instruction, fields) : instruction;
+}
+
+// -----------------------
+// The passes
+// -----------------------
+
+// x = 5; y = x + 1  =>  y = 5 + 1, on every path where x still holds 5
+function propagateConstants(func, globals) {
+    const inMemory = memoryVariables(func, globals);
+    return forwardPass(func, (instruction, facts) => {
+        const rewritten = replaceReads(instruction, operand => facts.get(operandKey(operand)));
+        const defined = definition(rewritten);
+        if (defined) facts.delete(operandKey(defined));
+        if (clobbers(rewritten)) inMemory.forEach(key => facts.delete(key));
+        if (rewritten.op === '=' && defined && numericValue(rewritten.arg1) !== null) facts.set(operandKey(defined), rewritten.arg1);
+        return rewritten;
+    });
+}
+
+// t1 = 2 * 3  =>  t1 = 6; a branch on a constant becomes a goto or disappears
+function foldConstants(func) {
+    const changes = [];
+    const code = [];
+    func.code.forEach(instruction => {
+        const result = foldInstruction(instruction);
+        if (result !== instruction) changes.push(result ? `${instruction}  →  ${result}` : `${instruction}  →  (removed)`);
+        if (result) code.push(result);
+    });
+    return { code, changes };
+}
+
+// The folded instruction, the same one if nothing folds, or null if it goes away
+function foldInstruction(instruction) {
+    const { op, arg1, arg2 } = instruction;
+    const a = numericValue(arg1);
+    const b = numericValue(arg2);
+    if (a === null) return instruction;
+
+    if (op === 'if' || op === 'ifFalse') {
+        const jumps = (a !== 0) === (op === 'if');
+        return jumps ? new Instruction('goto', null, null, instruction.result) : null;
+    }
+    if (op === 'cast') {
+        const floating = FLOATING_TYPES.includes(instruction.type);
+        const value = floating ? a : wrapInteger(a, instruction.type);
+        return value === null ? instruction : copyInstruction(instruction, folded(value, floating));
+    }
+
+    // The type the instruction computes in decides: integer division truncates, unsigned values wrap
+    const type = computedType(instruction);
+    const floating = FLOATING_TYPES.includes(type);
+    if (arg2 === null && UNARY_OPERATORS.includes(op)) {
+        const value = applyUnary(op, a, type);
+        return value === null ? instruction : copyInstruction(instruction, folded(value, floating && op !== '!'));
+    }
+    if (b === null || !PURE_OPERATORS.includes(op)) return instruction;
+
+    const value = applyBinary(op, a, b, type);
+    if (value === null || !Number.isFinite(value)) return instruction;
+    return copyInstruction(instruction, folded(value, floating && !['<', '>', '<=', '>=', '==', '!='].includes(op)));
+}
+
+// x + 0, x * 1, x / 1 ...  =>  x;  x * 0, x - x  =>  0
+function simplifyAlgebra(func) {
+    const changes = [];
+    const code = func.code.map(instruction => {
+        const result = simplifyInstruction(instruction);
+        if (result !== instruction) changes.push(`${instruction}  →  ${result}`);
+        return result;
+    });
+    return { code, changes };
+}
+
+function simplifyInstruction(instruction) {
+    const { op, arg1, arg2 } = instruction;
+    if (arg2 === null || !PURE_OPERATORS.includes(op)) return instruction;
+    const a = numericValue(arg1);
+    const b = numericValue(arg2);
+
+    // Identities: the other operand is the answer
+    const rightIdentity = { '+': 0, '-': 0, '*': 1, '/': 1, '<<': 0, '>>': 0, '|': 0, '^': 0 };
+    const leftIdentity = { '+': 0, '*': 1, '|': 0, '^': 0 };
+    if (op in rightIdentity && b === rightIdentity[op]) return copyInstruction(instruction, arg1);
+    if (op in leftIdentity && a === leftIdentity[op]) return copyInstruction(instruction, arg2);
+
+    // Absorbing operands and an operand combined with itself
+    if ((op === '*' || op === '&') && (a === 0 || b === 0)) {
+        return copyInstruction(instruction, folded(0, FLOATING_TYPES.includes(computedType(instruction))));
+    }
+    if ((op === '-' || op === '^') && isValue(arg1) && sameOperand(arg1, arg2)) {
+        return copyInstruction(instruction, folded(0, FLOATING_TYPES.includes(computedType(instruction))));
+    }
+    return instruction;
+}
+
+// x = y; z = x + 1  =>  z = y + 1, on every path where neither x nor y has changed since the copy
+function propagateCopies(func, globals) {
+    const inMemory = memoryVariables(func, globals);
+    return forwardPass(func, (instruction, facts) => {
+        const rewritten = replaceReads(instruction, operand => facts.get(operandKey(operand)));
+        const defined = definition(rewritten);
+        const forget = key => [...facts].forEach(([copy, source]) => {
+            if (copy === key || operandKey(source) === key) facts.delete(copy);
+        });
+        if (defined) forget(operandKey(defined));
+        if (clobbers(rewritten)) inMemory.forEach(forget);
+        if (rewritten.op === '=' && defined && isValue(rewritten.arg1) && !sameOperand(defined, rewritten.arg1)) {
+            facts.set(operandKey(defined), rewritten.arg1);
+        }
+        return rewritten;
+    });
+}
+
+// An expression, the same however its commutative operands are ordered
+function expressionKey(instruction) {
+    let operands = [instruction.arg1, instruction.arg2].map(operand => operand ? operandKey(operand) : null);
+    if (COMMUTATIVE_OPERATORS.includes(instruction.op)) operands = operands.sort();
+    return JSON.stringify([instruction.op, instruction.type ?? null, ...operands]);
+}
+
+// t2 = a + b when a + b already sits in t1 on every path here (and a, b, t1 are unchanged)  =>  t2 = t1
+function eliminateCommonSubexpressions(func, globals) {
+    const inMemory = memoryVariables(func, globals);
+    return forwardPass(func, (instruction, facts) => {
+        let rewritten = instruction;
+        const isExpression = PURE_OPERATORS.includes(instruction.op) || instruction.op === 'addr';
+        const key = isExpression ? expressionKey(instruction) : null;
+        if (key && facts.has(key) && !sameOperand(facts.get(key), instruction.result)) {
+            rewritten = copyInstruction(instruction, facts.get(key));
+        }
+
+        // An expression stops being available when an operand or the value holding it changes
+        const forget = changed => [...facts].forEach(([expression, holder]) => {
+            if (operandKey(holder) === changed || JSON.parse(expression).includes(changed)) facts.delete(expression);
+        });
+        const defined = definition(rewritten);
+        if (defined) forget(operandKey(defined));
+        if (clobbers(rewritten)) inMemory.forEach(forget);
+        const operands = [instruction.arg1, instruction.arg2].filter(Boolean);
+        if (key && defined && !operands.some(operand => sameOperand(operand, defined))) facts.set(key, defined);
+        return rewritten;
+    });
+}
+
+// Drop blocks no path reaches, jumps to the very next instruction, then instructions that compute a
+// value nobody reads. Calls stay for what they do; variables in memory may be read through a
+// pointer or by a call, so assignments to them stay too.
+function eliminateDeadCode(func, globals) {
+    const changes = [];
+    const cfg = buildCFG(func);
+    const reachable = new Set();
+    const reach = block => {
+        if (reachable.has(block)) return;
+        reachable.add(block);
+        block.successors.forEach(reach);
+    };
+    reach(cfg.entry);
+    cfg.blocks.filter(block => !reachable.has(block)).forEach(block => {
+        block.instructions.forEach(instruction => changes.push(`${instruction}  →  (removed, unreachable)`));
+    });
+
+    let code = cfg.blocks.filter(block => reachable.has(block)).flatMap(block => block.instructions);
+    code = code.filter((instruction, i) => {
+        if (instruction.op !== 'goto') return true;
+        // The labels right after the jump
+        const following = [];
+        for (let j = i + 1; code[j]?.op === 'label'; j++) following.push(code[j].result.value);
+        if (!following.includes(instruction.result.value)) return true;
+        changes.push(`${instruction}  →  (removed, jumps to the next instruction)`);
+        return false;
+    });
+    const inMemory = memoryVariables(func, globals);
+    // Removing one dead instruction can leave the ones feeding it dead too
+    for (let removed = true; removed;) {
+        const live = liveAfter({ name: func.name, code });
+        const kept = code.filter((instruction, i) => {
+            const defined = definition(instruction);
+            const dead = defined && instruction.op !== 'call' && !inMemory.has(operandKey(defined)) && !live[i].has(operandKey(defined));
+            if (dead) changes.push(`${instruction}  →  (removed, never used)`);
+            return !dead;
+        });
+        removed = kept.length < code.length;
+        code = kept;
+    }
+    return { code, changes };
+}
+
+// For every instruction of the function, the values that may still be read after it (liveness)
+function liveAfter(func) {
+    const cfg = buildCFG(func);
+    const reads = instruction => [
+        ...readFields(instruction).map(field => instruction[field]),
+        ...(instruction.op === '=[]' ? [instruction.arg1] : []),
+        ...(instruction.op === '[]=' ? [instruction.result] : [])
+    ].filter(isValue).map(operandKey);
+
+    // Backward through a block: what is live at its top given what is live at its bottom
+    const throughBlock = (block, liveOut, record = null) => {
+        const live = new Set(liveOut);
+        [...block.instructions].reverse().forEach(instruction => {
+            record?.(instruction, new Set(live));
+            const defined = definition(instruction);
+            if (defined) live.delete(operandKey(defined));
+            reads(instruction).forEach(key => live.add(key));
+        });
+        return live;
+    };
+
+    const tops = new Map(cfg.nodes.map(block => [block, new Set()]));
+    const bottomOf = block => new Set(block.successors.flatMap(successor => [...tops.get(successor)]));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        [...cfg.blocks].reverse().forEach(block => {
+            const top = throughBlock(block, bottomOf(block));
+            if (top.size !== tops.get(block).size) {
+                tops.set(block, top);
+                changed = true;
+            }
+        });
+    }
+
+    const liveByInstruction = new Map();
+    cfg.blocks.forEach(block => throughBlock(block, bottomOf(block), (instruction, live) => liveByInstruction.set(instruction, live)));
+    return func.code.map(instruction => liveByInstruction.get(instruction));
+}
+
+// -----------------------
+// The pipeline
+// -----------------------
+
+// Every pass, in the order the pipeline runs them, with what it does
+export const OPTIMIZATION_PASSES = {
+    'constant-propagation': { description: 'Use the constant a variable is known to hold', run: propagateConstants },
+    'constant-folding': { description: 'Compute operations on constants at compile time', run: foldConstants },
+    'algebraic-simplification': { description: 'x + 0, x * 1, x * 0, x - x and the like', run: simplifyAlgebra },
+    'copy-propagation': { description: 'Read the original instead of a copy of it', run: propagateCopies },
+    'common-subexpressions': { description: 'Reuse a value already computed, within and across blocks', run: eliminateCommonSubexpressions },
+    'dead-code': { description: 'Remove unreachable code and values nobody reads', run: eliminateDeadCode }
+};
+
+// Run one pass over every function of a program; returns the new program and what changed
+export function runPass(name, program) {
+    const globals = program.globals.map(global => global.name);
+    const result = new IRProgram();
+    result.globals = program.globals;
+    const changes = [];
+    program.functions.forEach(func => {
+        const { code, changes: funcChanges } = OPTIMIZATION_PASSES[name].run(func, globals);
+        const optimized = new IRFunction(func.name);
+        optimized.code = code;
+        result.functions.push(optimized);
+        changes.push(...funcChanges.map(change => `${func.name}: ${change}`));
+    });
+    return { program: result, changes };
+}
+
+// Run the chosen passes in pipeline order, round after round until nothing changes.
+// Returns the final program and one step per pass run that changed something:
+// { pass, round, program (after the pass), changes }.
+export function optimize(program, passNames) {
+    const steps = [];
+    let current = program;
+    for (let round = 1; round <= MAX_ROUNDS; round++) {
+        let changed = false;
+        Object.keys(OPTIMIZATION_PASSES).filter(name => passNames.includes(name)).forEach(name => {
+            const { program: next, changes } = runPass(name, current);
+            if (changes.length === 0) return;
+            steps.push({ pass: name, round, program: next, changes });
+            current = next;
+            changed = true;
+        });
+        if (!changed) break;
+    }
+    return { program: current, steps };
+}
@@ -2,17 +2,90 @@
 // This file contains the Parser class, which builds the AST from tokens.
 
 import {
-    ProgramNode, FunctionDefinitionNode, ParamNode, BlockNode,
+    ASTNode, ProgramNode, FunctionDefinitionNode, ParamNode, BlockNode,
     VariableDeclarationNode, AssignmentNode, BinaryOpNode, NumberNode,
     IdentifierNode, StringLiteralNode, FunctionCallNode, IfStatementNode,
-    ForLoopNode, ReturnStatementNode, UnaryOpNode
+    ForLoopNode, ReturnStatementNode, UnaryOpNode, WhileLoopNode,
+    DoWhileLoopNode, BreakStatementNode, ContinueStatementNode, TernaryOpNode,
+    FunctionPrototypeNode, InitializerListNode, ArrayAccessNode, StructDefinitionNode,
+    MemberAccessNode, SwitchStatementNode, CaseLabelNode, ErrorNode, EmptyStatementNode, TypedefNode
 } from './astNodes.js';
+import { SPECIFIER_KEYWORDS, scalarTypeName } from './types.js';
+import { formatPosition } from './utility.js';
+
+// Binary operators of C, lowest precedence first. Higher numbers bind tighter.
+// Assignment and ?: group right-to-left, everything else left-to-right.
+const BINARY_OPERATORS = {
+    ',': { precedence: 1, associativity: 'left' },
+    '=': { precedence: 2, associativity: 'right', assignment: true },
+    '+=': { precedence: 2, associativity: 'right', assignment: true },
+    '-=': { precedence: 2, associativity: 'right', assignment: true },
+    '*=': { precedence: 2, associativity: 'right', assignment: true },
+    '/=': { precedence: 2, associativity: 'right', assignment: true },
+    '%=': { precedence: 2, associativity: 'right', assignment: true },
+    '<<=': { precedence: 2, associativity: 'right', assignment: true },
+    '>>=': { precedence: 2, associativity: 'right', assignment: true },
+    '&=': { precedence: 2, associativity: 'right', assignment: true },
+    '^=': { precedence: 2, associativity: 'right', assignment: true },
+    '|=': { precedence: 2, associativity: 'right', assignment: true },
+    '?': { precedence: 3, associativity: 'right' },
+    '||': { precedence: 4, associativity: 'left' },
+    '&&': { precedence: 5, associativity: 'left' },
+    '|': { precedence: 6, associativity: 'left' },
+    '^': { precedence: 7, associativity: 'left' },
+    '&': { precedence: 8, associativity: 'left' },
+    '==': { precedence: 9, associativity: 'left' },
+    '!=': { precedence: 9, associativity: 'left' },
+    '<': { precedence: 10, associativity: 'left' },
+    '>': { precedence: 10, associativity: 'left' },
+    '<=': { precedence: 10, associativity: 'left' },
+    '>=': { precedence: 10, associativity: 'left' },
+    '<<': { precedence: 11, associativity: 'left' },
+    '>>': { precedence: 11, associativity: 'left' },
+    '+': { precedence: 12, associativity: 'left' },
+    '-': { precedence: 12, associativity: 'left' },
+    '*': { precedence: 13, associativity: 'left' },
+    '/': { precedence: 13, associativity: 'left' },
+    '%': { precedence: 13, associativity: 'left' },
+};
+
+// Function arguments and initializers stop before the comma operator
+const ASSIGNMENT_PRECEDENCE = BINARY_OPERATORS['='].precedence;
+// Case labels are conditional expressions: no assignment or comma
+const CONDITIONAL_PRECEDENCE = BINARY_OPERATORS['?'].precedence;
+
+// Keywords that begin a declaration (so do typedef names, which the parser tracks as it goes)
+const DECLARATION_KEYWORDS = [...SPECIFIER_KEYWORDS, 'const', 'struct', 'typedef'];
+
+// Panic-mode recovery: after a syntax error the parser skips ahead to one of these synchronization points.
+// Inside a block: just past a ';', or before '{', '}' or a keyword that starts a statement.
+const STATEMENT_KEYWORDS = [...DECLARATION_KEYWORDS, 'if', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return'];
+// At file scope: just past a ';' or a function body's closing '}', or before the start of a declaration.
+
+// Thrown to abandon the construct being parsed; caught where the parser can synchronize
+class ParseError extends Error { }
+
+// How a token is named in "expected X but found Y" messages
+const describe = token => token ? `'${token.value}'` : 'end of input';
+
+// Start and end positions of a token, as used in node spans
+const startOf = token => ({ line: token.line, col: token.col, offset: token.offset });
+const endOf = token => ({ line: token.line, col: token.col + token.length, offset: token.offset + token.length });
+
+// Prefix operators bind tighter than any binary operator; postfix tighter still
+const PREFIX_OPERATORS = ['-', '+', '!', '~', '++', '--', '&', '*'];
+const POSTFIX_OPERATORS = ['++', '--'];
 
 export class Parser {
     constructor(tokens) {
-        this.tokens = tokens;
+        // Comments and other trivia are kept by the lexer but never reach the grammar
+        this.tokens = tokens.filter(t => !t.trivia);
         this.pos = 0;
         this.errors = [];
+        this.errorPos = -1;    // Position of the last reported error, so one bad token is reported once
+        // Names declared in each open scope, innermost last: true for typedef names, false for anything
+        // else (a variable can hide a typedef name declared further out)
+        this.nameScopes = [new Map()];
     }
 
     currentToken() {
@@ -23,10 +96,131 @@ export class Parser {
         this.pos++;
     }
 
-    error(msg, token = this.currentToken()) {
-        const info = token ? `at line ${token.line}` : `at EOF`;
-        this.errors.push({ message: `Syntax Error: ${msg} ${info}` });
-        if (token) this.advance();
+    // Record a syntax error at the current token and abandon the construct being parsed.
+    // Nothing is consumed: recovering() decides how far to skip.
+    error(msg) {
+        if (this.pos !== this.errorPos) this.reportError(msg, this.currentToken());
+        this.errorPos = this.pos;
+        throw new ParseError(msg);
+    }
+
+    // Record a syntax error without consuming any tokens or interrupting the parse
+    reportError(msg, token) {
+        const info = token ? `at ${formatPosition({ line: token.line, col: token.col, file: token.file })}` : `at EOF`;
+        this.errors.push({ severity: 'error', message: `Syntax Error: ${msg} ${info}` });
+    }
+
+    // Parse one construct with `parse`. On a syntax error, skip ahead with `synchronize` and
+    // put an ErrorNode covering the skipped tokens in its place, so the rest of the tree survives.
+    recovering(parse, synchronize) {
+        const start = this.pos;
+        try {
+            return parse();
+        } catch (error) {
+            return this.abandon(error, start, depth => {
+                synchronize(depth);
+                if (this.pos === start) this.advance(); // Always make progress
+            });
+        }
+    }
+
+    // Handle a ParseError thrown by a construct that began at token `start`:
+    // skip ahead with `synchronize` and return an ErrorNode for the skipped tokens
+    abandon(error, start, synchronize) {
+        if (!(error instanceof ParseError)) throw error;
+        synchronize(this.openBraces(start));
+        return this.finish(new ErrorNode(error.message), this.tokens[start]);
+    }
+
+    // Braces opened since token `start` that are still unclosed
+    openBraces(start) {
+        let depth = 0;
+        for (let i = start; i < this.pos && i < this.tokens.length; i++) {
+            if (this.tokens[i].value === '{') depth++;
+            else if (this.tokens[i].value === '}' && depth > 0) depth--;
+        }
+        return depth;
+    }
+
+    // Skip the rest of a broken statement. Braces the statement opened (an initializer list, say) are
+    // skipped through; otherwise stop after ';' or before '{', '}' or a statement keyword.
+    syncStatement(depth) {
+        for (let t = this.currentToken(); t; t = this.currentToken()) {
+            if (depth > 0) {
+                if (t.value === '{') depth++;
+                if (t.value === '}') depth--;
+            } else if (t.value === ';') {
+                this.advance();
+                return;
+            } else if (t.value === '{' || t.value === '}' || (t.type === 'KEYWORD' && STATEMENT_KEYWORDS.includes(t.value)) ||
+                this.isTypedefName(t)) {
+                return;
+            }
+            this.advance();
+        }
+    }
+
+    // Skip the rest of a broken file-scope declaration: stop after ';' or after the '}' that closes
+    // a function body, or before a keyword or typedef name that starts the next declaration
+    syncDeclaration(depth) {
+        for (let t = this.currentToken(); t; t = this.currentToken()) {
+            if (t.value === '{') {
+                depth++;
+            } else if (t.value === '}') {
+                this.advance();
+                if (--depth <= 0) return;
+                continue;
+            } else if (depth === 0 && t.value === ';') {
+                this.advance();
+                return;
+            } else if (depth === 0 && this.startsDeclaration()) {
+                return;
+            }
+            this.advance();
+        }
+    }
+
+    // Give a node its source span: from `start` (a token, or a node whose span it extends)
+    // to the end of `end`, by default the last token consumed
+    finish(node, start, end = this.tokens[this.pos - 1]) {
+        const from = start instanceof ASTNode ? start.span?.start : start && startOf(start);
+        if (node && from && end) node.span = { start: from, end: endOf(end) };
+        return node;
+    }
+
+    // Identifier node for a single name token
+    identifier(token) {
+        return this.finish(new IdentifierNode(token), token, token);
+    }
+
+    // Parse with a new innermost scope for declared names
+    withScope(parse) {
+        this.nameScopes.push(new Map());
+        try {
+            return parse();
+        } finally {
+            this.nameScopes.pop();
+        }
+    }
+
+    // Record a name declared in the current scope (`isTypedef` for typedef names)
+    declareName(token, isTypedef) {
+        this.nameScopes[this.nameScopes.length - 1].set(token.value, isTypedef);
+    }
+
+    // Is this token an identifier that names a type here?
+    isTypedefName(token) {
+        if (token?.type !== 'IDENTIFIER') return false;
+        for (let i = this.nameScopes.length - 1; i >= 0; i--) {
+            if (this.nameScopes[i].has(token.value)) return this.nameScopes[i].get(token.value);
+        }
+        return false;
+    }
+
+    // Does the current token begin a declaration?
+    startsDeclaration() {
+        const t = this.currentToken();
+        return (t?.type === 'KEYWORD' && DECLARATION_KEYWORDS.includes(t.value)) || this.isTypedefName(t);
     }
 
     expect(type, value = null) {
@@ -35,41 +229,179 @@ export class Parser {
             this.advance();
             return token;
         }
-        this.error(`Expected ${value || type}`, token);
-        return null;
+        const expected = value ? `'${value}'` : type.toLowerCase();
+        this.error(`Expected ${expected} but found ${describe(token)}`);
     }
 
     parse() {
-        const functions = [];
+        const start = this.currentToken();
+        const declarations = [];
 
         while (this.currentToken()) {
-            const func = this.parseFunctionDefinition();
-            if (func) functions.push(func);
-            else if (this.errors.length > 0) break;
+            declarations.push(this.recovering(() => this.parseExternalDeclaration(), depth => this.syncDeclaration(depth)));
         }
 
         return {
-            ast: new ProgramNode(functions),
+            ast: this.finish(new ProgramNode(declarations), start),
             errors: this.errors
         };
     }
 
+    // File-scope item: typedef, struct definition, function definition, function prototype or global variable
+    parseExternalDeclaration() {
+        if (this.startsFunction()) {
+            return this.parseFunctionDefinition();
+        }
+        return this.parseDeclaration();
+    }
+
+    // Declaration inside a block or at file scope: typedef, struct definition or variable
+    parseDeclaration() {
+        if (this.currentToken()?.value === 'typedef') {
+            return this.parseTypedef();
+        }
+        if (this.startsStructDefinition()) {
+            return this.parseStructDefinition();
+        }
+        return this.parseVariableDeclaration();
+    }
+
+    // A function's name comes right before its '(': scan past the type and name for one,
+    // stopping where a variable's declarator would continue instead
+    startsFunction() {
+        for (let i = this.pos; i < this.tokens.length; i++) {
+            const value = this.tokens[i].value;
+            if (value === '(') return this.tokens[i - 1]?.type === 'IDENTIFIER';
+            if ([';', '=', '{', '[', ','].includes(value)) return false;
+        }
+        return false;
+    }
+
+    // Type specifier: keywords such as `unsigned long int`, `struct Name` or a typedef name, with `const`
+    // anywhere among them. Returns the canonical spelling: 'const unsigned long', 'struct Point', 'size_t'.
+    parseTypeSpecifier() {
+        const start = this.currentToken();
+        const words = [];      // As written, for the error message
+        const keywords = [];
+        const names = [];      // 'struct Name' or a typedef name
+        let isConst = false;
+
+        for (let t = this.currentToken(); t; t = this.currentToken()) {
+            if (t.type === 'KEYWORD' && t.value === 'const') {
+                isConst = true;
+            } else if (t.type === 'KEYWORD' && SPECIFIER_KEYWORDS.includes(t.value)) {
+                keywords.push(t.value);
+            } else if (t.type === 'KEYWORD' && t.value === 'struct') {
+                this.advance();
+                const tag = `struct ${this.expect('IDENTIFIER').value}`;
+                words.push(tag);
+                names.push(tag);
+                continue;
+            } else if (names.length === 0 && keywords.length === 0 && this.isTypedefName(t)) {
+                // After another type, a typedef name is the name being declared: `int size_t;`
+                names.push(t.value);
+            } else {
+                break;
+            }
+            words.push(t.value);
+            this.advance();
+        }
+
+        if (names.length === 0 && keywords.length === 0) {
+            this.error(`Expected a type but found ${describe(this.currentToken())}`);
+        }
+        // A struct or typedef name is a whole type; only keywords combine (`long` + `int`)
+        let base = names.length === 0 ? scalarTypeName(keywords) : null;
+        if (names.length === 1 && keywords.length === 0) base = names[0];
+        if (!base) {
+            this.reportError(`Invalid type '${words.join(' ')}'`, start);
+            base = 'int';
+        }
+        return isConst ? `const ${base}` : base;
+    }
+
+    // `typedef <type> <declarator>;` makes the declarator's name a type from here on
+    // The type may be a struct defined on the spot, with or without a tag: `typedef struct { int x; } P;`
+    parseTypedef() {
+        const start = this.expect('KEYWORD', 'typedef');
+        const definition = this.startsStructDefinition(true) ? this.parseStructSpecifier() : null;
+        const baseType = definition ? definition.name && `struct ${definition.name.name}` : this.parseTypeSpecifier();
+        const pointerDepth = this.parsePointers();
+        const name = this.expect('IDENTIFIER');
+        const dimensions = this.parseDimensions();
+        this.expect('SEPARATOR', ';');
+
+        this.declareName(name, true);
+        return this.finish(new TypedefNode(baseType, this.identifier(name), dimensions, pointerDepth, definition), start);
+    }
+
+    // `struct Name {` starts a definition; `struct Name x;` only uses the type. `anonymous` also
+    // accepts `struct {`, which only a typedef can name.
+    startsStructDefinition(anonymous = false) {
+        if (this.currentToken()?.value !== 'struct') return false;
+        return this.tokens[this.pos + 2]?.value === '{' || (anonymous && this.tokens[this.pos + 1]?.value === '{');
+    }
+
+    parseStructDefinition() {
+        const start = this.currentToken();
+        const definition = this.parseStructSpecifier();
+        this.expect('SEPARATOR', ';');
+        return this.finish(definition, start);
+    }
+
+    // `struct Name { members }`, the tag left out (null) in `struct { members }`
+    parseStructSpecifier() {
+        const start = this.currentToken();
+        this.expect('KEYWORD', 'struct');
+        const name = this.currentToken()?.value === '{' ? null : this.expect('IDENTIFIER');
+        this.expect('SEPARATOR', '{');
+
+        // Member names are not ordinary identifiers, so they go in a scope of their own
+        const members = this.withScope(() => {
+            const parsed = [];
+            while (this.currentToken() && this.currentToken().value !== '}') {
+                parsed.push(this.recovering(() => this.parseVariableDeclaration(), depth => this.syncStatement(depth)));
+            }
+            return parsed;
+        });
+
+        this.expect('SEPARATOR', '}');
+        return this.finish(new StructDefinitionNode(name && this.identifier(name), members), start);
+    }
+
     parseFunctionDefinition() {
-        const returnType = this.expect('KEYWORD');
+        const start = this.currentToken();
+        const returnType = this.parseTypeSpecifier();
         const name = this.expect('IDENTIFIER');
-        if (!returnType || !name) return null;
+        this.declareName(name, false);
 
+        // Parameter names are in scope in the body
+        return this.withScope(() => this.parseFunctionRest(start, returnType, name));
+    }
+
+    // Parameter list, then ';' for a prototype or the body of a definition
+    parseFunctionRest(start, returnType, name) {
         this.expect('SEPARATOR', '(');
 
         const params = [];
-        if (this.currentToken()?.value !== ')') {
+        // `f(void)` is an explicit empty parameter list
+        if (this.currentToken()?.value === 'void' && this.tokens[this.pos + 1]?.value === ')') {
+            this.advance();
+        } else if (this.currentToken()?.value !== ')') {
             do {
-                const paramType = this.expect('KEYWORD');
-                const paramName = this.expect('IDENTIFIER');
-
-                if (paramType && paramName) {
-                    params.push(new ParamNode(paramType.value, new IdentifierNode(paramName)));
+                const paramStart = this.currentToken();
+                const paramType = this.parseTypeSpecifier();
+                const pointerDepth = this.parsePointers();
+                // Prototypes may leave parameters unnamed: int square(int);
+                const paramName = this.currentToken()?.type === 'IDENTIFIER' ? this.currentToken() : null;
+                if (paramName) {
+                    this.advance();
+                    this.declareName(paramName, false);
                 }
+                const dimensions = this.parseDimensions();
+
+                const param = new ParamNode(paramType, paramName && this.identifier(paramName), dimensions, pointerDepth);
+                params.push(this.finish(param, paramStart));
 
                 if (this.currentToken()?.value !== ',') break;
                 this.advance();
@@ -78,145 +410,270 @@ export class Parser {
 
         this.expect('SEPARATOR', ')');
 
+        if (this.currentToken()?.value === ';') {
+            this.advance();
+            return this.finish(new FunctionPrototypeNode(returnType, this.identifier(name), params), start);
+        }
+
+        if (params.some(param => !param.paramName)) {
+            this.reportError(`Parameter name omitted in definition of '${name.value}'`, name);
+        }
+
         const body = this.parseBlock();
 
-        return new FunctionDefinitionNode(returnType.value, new IdentifierNode(name), params, body);
+        return this.finish(new FunctionDefinitionNode(returnType, this.identifier(name), params, body), start);
     }
 
     parseBlock() {
+        const start = this.currentToken();
         this.expect('SEPARATOR', '{');
 
-        const statements = [];
-
-        while (this.currentToken() && this.currentToken().value !== '}') {
-            const stmt = this.parseStatement();
-            if (stmt) statements.push(stmt);
-            else if (this.errors.length > 0) this.recover();
-        }
+        const statements = this.withScope(() => {
+            const parsed = [];
+            while (this.currentToken() && this.currentToken().value !== '}') {
+                parsed.push(this.recovering(() => this.parseStatement(), depth => this.syncStatement(depth)));
+            }
+            return parsed;
+        });
 
         this.expect('SEPARATOR', '}');
-        return new BlockNode(statements);
-    }
-
-    recover() {
-        while (this.currentToken() && this.currentToken().value !== ';' && this.currentToken().value !== '}') {
-            this.advance();
-        }
-        if (this.currentToken()?.value === ';') this.advance();
+        return this.finish(new BlockNode(statements), start);
     }
 
     parseStatement() {
         const t = this.currentToken();
-        if (!t) return null;
 
-        if (t.type === 'KEYWORD') {
+        if (this.startsDeclaration()) {
+            return this.parseDeclaration();
+        }
+
+        if (t?.type === 'KEYWORD') {
             switch (t.value) {
-                case 'int': return this.parseVariableDeclaration();
                 case 'if': return this.parseIfStatement();
                 case 'for': return this.parseForLoop();
+                case 'while': return this.parseWhileLoop();
+                case 'do': return this.parseDoWhileLoop();
+                case 'switch': return this.parseSwitchStatement();
+                case 'case':
+                case 'default': return this.parseCaseLabel();
+                case 'break': return this.parseBreakStatement();
+                case 'continue': return this.parseContinueStatement();
                 case 'return': return this.parseReturnStatement();
             }
         }
 
-        if (t.type === 'IDENTIFIER' || t.value === 'printf') {
-            const next = this.tokens[this.pos + 1];
+        if (t?.value === '{') {
+            return this.parseBlock();
+        }
 
-            if (next?.value === '(') return this.parseFunctionCallStatement();
-            if (next?.value === '=') return this.parseAssignment();
+        if (t?.value === ';') {
+            this.advance();
+            return this.finish(new EmptyStatementNode(), t);
+        }
 
-            if (next?.type === 'OPERATOR' && (next.value === '++' || next.value === '--')) {
-                const id = this.currentToken(); this.advance();
-                const op = this.currentToken(); this.advance();
-                this.expect('SEPARATOR', ';');
-                return new UnaryOpNode(op.value, new IdentifierNode(id));
-            }
+        if (t && this.startsExpression(t)) {
+            return this.parseExpressionStatement();
         }
 
-        this.error("Invalid statement");
-        return null;
+        this.error(`Expected a statement but found ${describe(t)}`);
+    }
+
+    // Can this token begin an expression?
+    startsExpression(t) {
+        return t.type === 'IDENTIFIER' || t.type.endsWith('_LIT') || t.value === 'printf' ||
+            t.value === '(' || (t.type === 'OPERATOR' && PREFIX_OPERATORS.includes(t.value));
+    }
+
+    // Expression used as a statement: assignments, calls, increments, ...
+    parseExpressionStatement() {
+        const expr = this.parseExpression();
+        this.expect('SEPARATOR', ';');
+        return expr;
     }
 
     parseVariableDeclaration() {
-        const type = this.expect('KEYWORD');
+        const start = this.currentToken();
+        const type = this.parseTypeSpecifier();
+        const pointerDepth = this.parsePointers();
         const name = this.expect('IDENTIFIER');
-        if (!type || !name) return null;
+        const dimensions = this.parseDimensions();
+        this.declareName(name, false);
 
         let value = null;
+        let recovered = false;
         if (this.currentToken()?.value === '=') {
             this.advance();
-            value = this.parseExpression();
+            const valueStart = this.pos;
+            try {
+                value = this.currentToken()?.value === '{'
+                    ? this.parseInitializerList()
+                    : this.parseAssignmentExpression();
+            } catch (error) {
+                // A broken initializer still declares the name, so later uses of it resolve
+                value = this.abandon(error, valueStart, depth => this.syncStatement(depth));
+                recovered = true;
+            }
         }
 
-        this.expect('SEPARATOR', ';');
-        return new VariableDeclarationNode(type.value, new IdentifierNode(name), value);
+        if (!recovered) this.expect('SEPARATOR', ';');
+        return this.finish(new VariableDeclarationNode(type, this.identifier(name), value, dimensions, pointerDepth), start);
     }
 
-    parseAssignment(noSemicolon = false) {
-        const left = new IdentifierNode(this.expect('IDENTIFIER'));
-        this.expect('OPERATOR', '=');
-        const right = this.parseExpression();
-        if (!noSemicolon) this.expect('SEPARATOR', ';');
-        return new AssignmentNode(left, right);
+    // Stars in front of a declarator name: int **p has depth 2
+    parsePointers() {
+        let depth = 0;
+        while (this.currentToken()?.value === '*') {
+            this.advance();
+            depth++;
+        }
+        return depth;
     }
 
-    parseFunctionCallStatement() {
-        const nameToken = this.currentToken();
-        if (nameToken.type !== 'IDENTIFIER' && nameToken.type !== 'KEYWORD') {
-            this.error("Expected function name");
-            return null;
+    // Array declarator suffixes: [10][4]; an empty [] gives a null dimension
+    parseDimensions() {
+        const dimensions = [];
+        while (this.currentToken()?.value === '[') {
+            this.advance();
+            dimensions.push(this.currentToken()?.value === ']' ? null : this.parseAssignmentExpression());
+            this.expect('SEPARATOR', ']');
         }
+        return dimensions;
+    }
 
-        this.advance();
-        this.expect('SEPARATOR', '(');
+    // {1, 2, 3} or nested {{1, 2}, {3, 4}}; a trailing comma is allowed
+    parseInitializerList() {
+        const start = this.currentToken();
+        this.expect('SEPARATOR', '{');
 
-        const args = [];
-        if (this.currentToken()?.value !== ')') {
-            args.push(this.parseExpression());
-            while (this.currentToken()?.value === ',') {
-                this.advance();
-                args.push(this.parseExpression());
-            }
+        const elements = [];
+        while (this.currentToken() && this.currentToken().value !== '}') {
+            elements.push(this.currentToken().value === '{'
+                ? this.parseInitializerList()
+                : this.parseAssignmentExpression());
+
+            if (this.currentToken()?.value !== ',') break;
+            this.advance();
         }
 
-        this.expect('SEPARATOR', ')');
-        this.expect('SEPARATOR', ';');
-        return new FunctionCallNode(new IdentifierNode(nameToken), args);
+        this.expect('SEPARATOR', '}');
+        return this.finish(new InitializerListNode(elements), start);
     }
 
     parseIfStatement() {
+        const start = this.currentToken();
         this.expect('KEYWORD', 'if');
         this.expect('SEPARATOR', '(');
         const condition = this.parseExpression();
         this.expect('SEPARATOR', ')');
-        const ifBlock = this.parseBlock();
+        const ifBody = this.parseBody('if');
 
-        let elseBlock = null;
+        // `else if (...)` is just an if statement as the else body; an else binds to the nearest if
+        let elseBody = null;
         if (this.currentToken()?.value === 'else') {
             this.advance();
-            elseBlock = this.parseBlock();
+            elseBody = this.parseBody('else');
         }
 
-        return new IfStatementNode(condition, ifBlock, elseBlock);
+        return this.finish(new IfStatementNode(condition, ifBody, elseBody), start);
+    }
+
+    // Body of if/else, a loop or a switch: any statement, braced or not.
+    // A declaration is not a statement in C, so it needs braces around it.
+    parseBody(keyword) {
+        if (this.startsDeclaration()) {
+            this.reportError(`A declaration cannot be the body of '${keyword}' without braces`, this.currentToken());
+        }
+        return this.parseStatement();
     }
 
     parseForLoop() {
+        const start = this.currentToken();
         this.expect('KEYWORD', 'for');
         this.expect('SEPARATOR', '(');
 
-        const init = this.parseVariableDeclaration();
+        // A variable declared in the first clause is scoped to the loop
+        return this.withScope(() => this.parseForRest(start));
+    }
+
+    // The three clauses after `for (`, then the body
+    parseForRest(start) {
+        // Any of the three clauses may be left out, as in for (;;)
+        let init = null;
+        if (this.startsDeclaration()) {
+            init = this.parseVariableDeclaration(); // Consumes its ';'
+        } else {
+            if (this.currentToken()?.value !== ';') init = this.parseExpression();
+            this.expect('SEPARATOR', ';');
+        }
 
+        const cond = this.currentToken()?.value === ';' ? null : this.parseExpression();
+        this.expect('SEPARATOR', ';');
+
+        const inc = this.currentToken()?.value === ')' ? null : this.parseExpression();
+
+        this.expect('SEPARATOR', ')');
+        const body = this.parseBody('for');
+
+        return this.finish(new ForLoopNode(init, cond, inc, body), start);
+    }
+
+    parseWhileLoop() {
+        const start = this.currentToken();
+        this.expect('KEYWORD', 'while');
+        this.expect('SEPARATOR', '(');
         const cond = this.parseExpression();
-        this.expect('SEPARATOR', ';'); 
+        this.expect('SEPARATOR', ')');
+        const body = this.parseBody('while');
 
-        const inc = this.parseAssignment(true);
+        return this.finish(new WhileLoopNode(cond, body), start);
+    }
 
+    parseDoWhileLoop() {
+        const start = this.currentToken();
+        this.expect('KEYWORD', 'do');
+        const body = this.parseBody('do');
+        this.expect('KEYWORD', 'while');
+        this.expect('SEPARATOR', '(');
+        const cond = this.parseExpression();
         this.expect('SEPARATOR', ')');
-        const body = this.parseBlock();
+        this.expect('SEPARATOR', ';');
+
+        return this.finish(new DoWhileLoopNode(body, cond), start);
+    }
 
-        return new ForLoopNode(init, cond, inc, body);
+    parseSwitchStatement() {
+        const token = this.expect('KEYWORD', 'switch');
+        this.expect('SEPARATOR', '(');
+        const discriminant = this.parseExpression();
+        this.expect('SEPARATOR', ')');
+        const body = this.parseBody('switch');
+
+        return this.finish(new SwitchStatementNode(discriminant, body, token), token);
+    }
+
+    // `case expr:` or `default:`; the statements that follow are ordinary statements of the switch body
+    parseCaseLabel() {
+        const token = this.currentToken();
+        this.advance();
+        const value = token.value === 'case' ? this.parseExpression(CONDITIONAL_PRECEDENCE) : null;
+        this.expect('SEPARATOR', ':');
+        return this.finish(new CaseLabelNode(value, token), token);
+    }
+
+    parseBreakStatement() {
+        const token = this.expect('KEYWORD', 'break');
+        this.expect('SEPARATOR', ';');
+        return this.finish(new BreakStatementNode(token), token);
+    }
+
+    parseContinueStatement() {
+        const token = this.expect('KEYWORD', 'continue');
+        this.expect('SEPARATOR', ';');
+        return this.finish(new ContinueStatementNode(token), token);
     }
 
     parseReturnStatement() {
+        const start = this.currentToken();
         this.expect('KEYWORD', 'return');
 
         let value = null;
@@ -225,77 +682,90 @@ export class Parser {
         }
 
         this.expect('SEPARATOR', ';');
-        return new ReturnStatementNode(value);
+        return this.finish(new ReturnStatementNode(value), start);
     }
 
-    parseExpression() {
-        return this.parseLogicalOr();
-    }
+    // Precedence climbing over BINARY_OPERATORS: parses operators binding at least as tightly as minPrecedence
+    parseExpression(minPrecedence = 1) {
+        let node = this.parseUnary();
 
-    parseLogicalOr() {
-        let node = this.parseLogicalAnd();
+        while (true) {
+            const op = this.currentToken();
+            const info = op && (op.type === 'OPERATOR' || op.value === ',') && BINARY_OPERATORS[op.value];
+            if (!info || info.precedence < minPrecedence) break;
+            this.advance();
 
-        while (this.currentToken()?.value === '||') {
-            const op = this.currentToken(); this.advance();
-            const right = this.parseLogicalAnd();
-            node = new BinaryOpNode(node, op.value, right);
+            const nextPrecedence = info.associativity === 'left' ? info.precedence + 1 : info.precedence;
+
+            if (op.value === '?') {
+                const whenTrue = this.parseExpression();
+                this.expect('SEPARATOR', ':');
+                const whenFalse = this.parseExpression(nextPrecedence);
+                node = this.finish(new TernaryOpNode(node, whenTrue, whenFalse), node);
+            } else if (info.assignment) {
+                const right = this.parseExpression(nextPrecedence);
+                if (!this.isAssignable(node)) this.reportError(`Invalid left-hand side of '${op.value}'`, op);
+                node = this.finish(new AssignmentNode(node, right, op.value), node);
+            } else {
+                const right = this.parseExpression(nextPrecedence);
+                node = this.finish(new BinaryOpNode(node, op.value, right), node);
+            }
         }
 
         return node;
     }
 
-    parseLogicalAnd() {
-        let node = this.parseComparison();
-
-        while (this.currentToken()?.value === '&&') {
-            const op = this.currentToken(); this.advance();
-            const right = this.parseComparison();
-            node = new BinaryOpNode(node, op.value, right);
-        }
-
-        return node;
+    // A single expression without the comma operator (call arguments, initializers)
+    parseAssignmentExpression() {
+        return this.parseExpression(ASSIGNMENT_PRECEDENCE);
     }
 
-    parseComparison() {
-        let node = this.parseTerm();
-
-        while (
-            this.currentToken()?.type === 'OPERATOR' &&
-            ['<', '>', '==', '!=', '<=', '>='].includes(this.currentToken().value)
-        ) {
-            const op = this.currentToken(); this.advance();
-            const right = this.parseTerm();
-            node = new BinaryOpNode(node, op.value, right);
-        }
-
-        return node;
+    // Can this node appear on the left of an assignment or under ++/--?
+    isAssignable(node) {
+        return node instanceof IdentifierNode || node instanceof ArrayAccessNode || node instanceof MemberAccessNode ||
+            (node instanceof UnaryOpNode && node.op === '*');
     }
 
-    parseTerm() {
-        let node = this.parseFactor();
+    parseUnary() {
+        const t = this.currentToken();
 
-        while (
-            this.currentToken()?.type === 'OPERATOR' &&
-            ['+', '-'].includes(this.currentToken().value)
-        ) {
-            const op = this.currentToken(); this.advance();
-            const right = this.parseFactor();
-            node = new BinaryOpNode(node, op.value, right);
+        if (t?.type === 'OPERATOR' && PREFIX_OPERATORS.includes(t.value)) {
+            this.advance();
+            const arg = this.parseUnary();
+            if ((t.value === '++' || t.value === '--') && !this.isAssignable(arg)) {
+                this.reportError(`Operand of '${t.value}' must be a variable`, t);
+            }
+            if (t.value === '&' && !this.isAssignable(arg)) {
+                this.reportError("Cannot take the address of an rvalue", t);
+            }
+            return this.finish(new UnaryOpNode(t.value, arg), t);
         }
 
-        return node;
+        return this.parsePostfix();
     }
 
-    parseFactor() {
+    parsePostfix() {
         let node = this.parsePrimary();
 
-        while (
-            this.currentToken()?.type === 'OPERATOR' &&
-            ['*', '/'].includes(this.currentToken().value)
-        ) {
-            const op = this.currentToken(); this.advance();
-            const right = this.parsePrimary();
-            node = new BinaryOpNode(node, op.value, right);
+        while (true) {
+            const op = this.currentToken();
+
+            if (op?.value === '[') {
+                this.advance();
+                const index = this.parseExpression();
+                this.expect('SEPARATOR', ']');
+                node = this.finish(new ArrayAccessNode(node, index, op), node);
+            } else if (op?.value === '.' || op?.value === '->') {
+                this.advance();
+                const member = this.expect('IDENTIFIER');
+                node = this.finish(new MemberAccessNode(node, this.identifier(member), op.value, op), node);
+            } else if (op?.type === 'OPERATOR' && POSTFIX_OPERATORS.includes(op.value)) {
+                this.advance();
+                if (!this.isAssignable(node)) this.reportError(`Operand of '${op.value}' must be a variable`, op);
+                node = this.finish(new UnaryOpNode(op.value, node, true), node);
+            } else {
+                break;
+            }
         }
 
         return node;
@@ -303,28 +773,25 @@ export class Parser {
 
     parsePrimary() {
         const t = this.currentToken();
-        if (!t) {
-            this.error("Unexpected EOF");
-            return null;
-        }
+        if (!t) this.error(`Expected an expression but found ${describe(t)}`);
 
-        if (t.type === 'IDENTIFIER' && this.tokens[this.pos + 1]?.value === '(') {
+        if ((t.type === 'IDENTIFIER' || t.value === 'printf') && this.tokens[this.pos + 1]?.value === '(') {
             return this.parseFunctionCallExpression();
         }
 
         if (t.type === 'STRING_LIT') {
             this.advance();
-            return new StringLiteralNode(t);
+            return this.finish(new StringLiteralNode(t), t);
         }
 
         if (t.type.endsWith('_LIT')) {
             this.advance();
-            return new NumberNode(t);
+            return this.finish(new NumberNode(t), t);
         }
 
         if (t.type === 'IDENTIFIER') {
             this.advance();
-            return new IdentifierNode(t);
+            return this.identifier(t);
         }
 
         if (t.value === '(') {
@@ -334,25 +801,24 @@ export class Parser {
             return expr;
         }
 
-        this.error("Invalid primary expression");
-        return null;
+        this.error(`Expected an expression but found ${describe(t)}`);
     }
 
     parseFunctionCallExpression() {
-        const nameToken = this.expect('IDENTIFIER');
+        const nameToken = this.currentToken(); this.advance();
         this.expect('SEPARATOR', '(');
 
         const args = [];
         if (this.currentToken()?.value !== ')') {
-            args.push(this.parseExpression());
+            args.push(this.parseAssignmentExpression());
 
             while (this.currentToken()?.value === ',') {
                 this.advance();
-                args.push(this.parseExpression());
+                args.push(this.parseAssignmentExpression());
             }
         }
 
         this.expect('SEPARATOR', ')');
-        return new FunctionCallNode(new IdentifierNode(nameToken), args);
+        return this.finish(new FunctionCallNode(this.identifier(nameToken), args), nameToken);
     }
 }
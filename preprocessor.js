@@ -0,0 +1,598 @@
+// preprocessor.js
+// This file contains the Preprocessor class, which handles #define, #include and conditional
+// compilation before the source reaches the Lexer.
+
+import { formatPosition } from './utility.js';
+
+const MAX_INCLUDE_DEPTH = 64;
+const IDENTIFIER = /[A-Za-z_]\w*/y;
+const PP_NUMBER = /\.?\d([eEpP][+-]|[\w.])*/y;
+// Pieces of a macro body: whitespace, identifiers, numbers, literals, # / ## and single characters
+const BODY_PIECE = /\s+|[A-Za-z_]\w*|\.?\d(?:[eEpP][+-]|[\w.])*|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|##|#|[\s\S]/y;
+
+// Binary operators allowed in #if expressions, by precedence (higher binds tighter)
+const CONDITION_PRECEDENCE = {
+    '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+};
+const CONDITION_TOKEN = /\s*(0[xX][0-9a-fA-F]+|\d+|'(?:\\.|[^'\\])'|\|\||&&|==|!=|<=|>=|<<|>>|[-+*/%<>&|^!~?:()])/y;
+
+// Index just past a string or char literal starting at `start`
+function skipLiteral(text, start) {
+    const quote = text[start];
+    let i = start + 1;
+    while (i < text.length && text[i] !== quote) {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return Math.min(i + 1, text.length);
+}
+
+// Replace comments with a single space, tracking a block comment left open at the end of the line
+function stripComments(text, inComment) {
+    let out = '';
+    let i = 0;
+    while (i < text.length) {
+        if (inComment) {
+            const end = text.indexOf('*/', i);
+            if (end === -1) return { text: out, inComment: true };
+            out += ' ';
+            i = end + 2;
+            inComment = false;
+        } else if (text[i] === '"' || text[i] === "'") {
+            const end = skipLiteral(text, i);
+            out += text.slice(i, end);
+            i = end;
+        } else if (text.startsWith('//', i)) {
+            break;
+        } else if (text.startsWith('/*', i)) {
+            inComment = true;
+            i += 2;
+        } else {
+            out += text[i++];
+        }
+    }
+    return { text: out, inComment };
+}
+
+export class Preprocessor {
+    constructor(files = {}) {
+        this.files = files;         // Virtual file system for #include: { 'helpers.h': 'source text' }
+        this.macros = new Map();    // name -> { params: string[] | null, variadic, body }
+        this.errors = [];
+        this.output = [];           // Preprocessed lines
+        this.origins = [];          // origins[i] = { line, file } of output line i + 1
+        this.onceFiles = new Set(); // Files marked with #pragma once
+    }
+
+    // Record a preprocessing error at a position in the original sources
+    error(message, file, line) {
+        this.errors.push({
+            severity: 'error',
+            message: `Preprocessor Error: ${message} at ${formatPosition({ line, file })}`,
+            line,
+            file
+        });
+    }
+
+    // Main entry: returns the expanded code plus an origin map for every output line.
+    // `fileName` is only needed when the root source should be reported under a name.
+    preprocess(code, fileName = null) {
+        this.macros = new Map();
+        this.errors = [];
+        this.output = [];
+        this.origins = [];
+        this.onceFiles = new Set();
+
+        this.processFile(code, fileName, 0);
+
+        return {
+            code: this.output.join('\n'),
+            origins: this.origins,
+            errors: this.errors
+        };
+    }
+
+    processFile(code, file, depth) {
+        const lines = code.split(/\r?\n/);
+        const conditions = [];  // Stack of { active, taken, parentActive, sawElse, line }
+        let inComment = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = i + 1;
+            let text = lines[i];
+
+            // Splice lines ending in a backslash
+            while (text.endsWith('\\') && i + 1 < lines.length) {
+                text = text.slice(0, -1) + lines[++i];
+            }
+
+            const startsInComment = inComment;
+            const stripped = stripComments(text, inComment);
+            inComment = stripped.inComment;
+            const active = conditions.every(c => c.active);
+
+            if (!startsInComment && /^\s*#/.test(text)) {
+                const directive = stripped.text.trim().slice(1).trim();
+                this.directive(directive, { file, line, depth, conditions, active });
+                continue;
+            }
+            if (!active) continue;
+
+            // A macro call whose arguments run on past the end of the line takes the following lines
+            // with it. They are joined without their comments; blank lines keep the line count.
+            if (this.endsInsideCall(stripped.text)) {
+                let joined = stripped.text;
+                let consumed = 0;
+                while (this.endsInsideCall(joined) && i + 1 < lines.length && !/^\s*#/.test(lines[i + 1])) {
+                    const next = stripComments(lines[++i], inComment);
+                    inComment = next.inComment;
+                    joined += ' ' + next.text;
+                    consumed++;
+                }
+                this.output.push(this.expand(joined, new Set(), { file, line }));
+                this.origins.push({ line, file });
+                for (let k = 1; k <= consumed; k++) {
+                    this.output.push('');
+                    this.origins.push({ line: line + k, file });
+                }
+                continue;
+            }
+
+            // Text still inside a block comment from the previous line is copied verbatim
+            let prefix = '';
+            let rest = text;
+            if (startsInComment) {
+                const end = text.indexOf('*/');
+                prefix = end === -1 ? text : text.slice(0, end + 2);
+                rest = end === -1 ? '' : text.slice(end + 2);
+            }
+
+            this.output.push(prefix + this.expand(rest, new Set(), { file, line }));
+            this.origins.push({ line, file });
+        }
+
+        for (const open of conditions) {
+            this.error("Unterminated conditional directive", file, open.line);
+        }
+    }
+
+    directive(text, context) {
+        const { file, line, depth, conditions, active } = context;
+        const [, name = '', rest = ''] = text.match(/^(\w*)\s*(.*)$/) || [];
+        const top = conditions[conditions.length - 1];
+
+        switch (name) {
+            case 'ifdef':
+            case 'ifndef':
+            case 'if': {
+                let cond = false;
+                if (active) {
+                    if (name === 'if') cond = this.evaluate(rest, file, line);
+                    else cond = this.macros.has(rest.split(/\s/)[0]) === (name === 'ifdef');
+                }
+                conditions.push({ active: active && cond, taken: cond, parentActive: active, sawElse: false, line });
+                return;
+            }
+            case 'elif':
+                if (!top) return this.error("#elif without #if", file, line);
+                if (top.sawElse) return this.error("#elif after #else", file, line);
+                if (top.taken || !top.parentActive) {
+                    top.active = false;
+                } else {
+                    top.active = this.evaluate(rest, file, line);
+                    top.taken = top.active;
+                }
+                return;
+            case 'else':
+                if (!top) return this.error("#else without #if", file, line);
+                if (top.sawElse) return this.error("#else after #else", file, line);
+                top.active = top.parentActive && !top.taken;
+                top.taken = true;
+                top.sawElse = true;
+                return;
+            case 'endif':
+                if (!top) return this.error("#endif without #if", file, line);
+                conditions.pop();
+                return;
+        }
+
+        // Everything else only matters in regions that are being compiled
+        if (!active) return;
+
+        switch (name) {
+            case '':
+                return; // Null directive
+            case 'define':
+                return this.define(rest, file, line);
+            case 'undef':
+                this.macros.delete(rest.trim());
+                return;
+            case 'include':
+                return this.include(rest, file, line, depth);
+            case 'error':
+                return this.error(`#error ${rest}`, file, line);
+            case 'pragma':
+                if (rest.trim() === 'once' && file) this.onceFiles.add(file);
+                return;
+            case 'line':
+            case 'warning':
+                return;
+            default:
+                this.error(`Unknown directive '#${name}'`, file, line);
+        }
+    }
+
+    define(text, file, line) {
+        // A '(' directly after the name (no space) makes it a function-like macro
+        const match = text.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+        if (!match) return this.error("Macro name must be an identifier", file, line);
+
+        const [, name, paramList, paramText, body] = match;
+        let params = null;
+        let variadic = false;
+
+        if (paramList) {
+            params = paramText.split(',').map(p => p.trim()).filter(p => p !== '');
+            if (params[params.length - 1] === '...') {
+                params[params.length - 1] = '__VA_ARGS__';
+                variadic = true;
+            }
+            if (params.some(p => !/^[A-Za-z_]\w*$/.test(p))) {
+                return this.error(`Invalid parameter list for macro '${name}'`, file, line);
+            }
+        }
+
+        this.macros.set(name, { params, variadic, body: body.trim() });
+    }
+
+    include(text, file, line, depth) {
+        const match = text.match(/^"([^"]+)"|^<([^>]+)>/);
+        if (!match) return this.error("#include expects \"FILE\" or <FILE>", file, line);
+
+        const target = match[1] || match[2];
+        if (!(target in this.files)) {
+            // Unknown system headers are fine: library functions like printf are built in
+            if (match[1]) this.error(`Cannot find include file '${target}'`, file, line);
+            return;
+        }
+        if (depth >= MAX_INCLUDE_DEPTH) {
+            return this.error(`#include nested too deeply while including '${target}'`, file, line);
+        }
+        if (this.onceFiles.has(target)) return;
+
+        this.processFile(this.files[target], target, depth + 1);
+    }
+
+    // Expand every macro in `text`; names in `disabled` are being expanded already and stay as-is
+    expand(text, disabled, context) {
+        let out = '';
+        let i = 0;
+
+        // Keep expansions from gluing onto neighbouring tokens (e.g. x-NEG with NEG = -1)
+        const append = (piece) => {
+            if (out && piece && !/\s$/.test(out) && !/^\s/.test(piece)) out += ' ';
+            out += piece;
+            return true;
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '"' || ch === "'") {
+                const end = skipLiteral(text, i);
+                out += text.slice(i, end);
+                i = end;
+                continue;
+            }
+            if (text.startsWith('//', i)) {
+                out += text.slice(i);
+                break;
+            }
+            if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                const stop = end === -1 ? text.length : end + 2;
+                out += text.slice(i, stop);
+                i = stop;
+                continue;
+            }
+
+            PP_NUMBER.lastIndex = i;
+            IDENTIFIER.lastIndex = i;
+            const number = PP_NUMBER.exec(text);
+            if (number) {
+                out += number[0];
+                i += number[0].length;
+                continue;
+            }
+            const identifier = IDENTIFIER.exec(text);
+            if (!identifier) {
+                out += ch;
+                i++;
+                continue;
+            }
+
+            const name = identifier[0];
+            const start = i;
+            i += name.length;
+
+            if (name === '__LINE__' && !this.macros.has(name)) { append(String(context.line)); continue; }
+            if (name === '__FILE__' && !this.macros.has(name)) { append(`"${context.file ?? 'main.c'}"`); continue; }
+
+            const macro = this.macros.get(name);
+            if (!macro || disabled.has(name)) {
+                out += name;
+                continue;
+            }
+
+            const nested = new Set(disabled).add(name);
+
+            if (macro.params === null) {
+                append(this.expand(macro.body, nested, context));
+                continue;
+            }
+
+            // Function-like macros are only invoked when followed by '('
+            let open = i;
+            while (/\s/.test(text[open] ?? '')) open++;
+            if (text[open] !== '(') {
+                out += name;
+                continue;
+            }
+
+            const call = this.collectArguments(text, open);
+            if (!call) {
+                this.error(`Unterminated argument list invoking macro '${name}'`, context.file, context.line);
+                out += text.slice(start);
+                break;
+            }
+
+            const args = this.bindArguments(name, macro, call.args, context);
+            i = call.end;
+            if (!args) {
+                out += text.slice(start, call.end);
+                continue;
+            }
+
+            append(this.expand(this.substitute(macro, args, disabled, context), nested, context));
+        }
+
+        return out;
+    }
+
+    // Whether a function-like macro call in `text` (comments already removed) is still missing its ')',
+    // or its '(' when the text ends with the macro's name, since the '(' may come on a following line
+    endsInsideCall(text) {
+        let i = 0;
+        while (i < text.length) {
+            if (text[i] === '"' || text[i] === "'") {
+                i = skipLiteral(text, i);
+                continue;
+            }
+            PP_NUMBER.lastIndex = i;
+            IDENTIFIER.lastIndex = i;
+            const number = PP_NUMBER.exec(text);
+            const identifier = !number && IDENTIFIER.exec(text);
+            if (!identifier) {
+                i += number ? number[0].length : 1;
+                continue;
+            }
+            i += identifier[0].length;
+
+            const macro = this.macros.get(identifier[0]);
+            if (!macro || macro.params === null) continue;
+            let open = i;
+            while (/\s/.test(text[open] ?? '')) open++;
+            if (open === text.length) return true;
+            if (text[open] !== '(') continue;
+            const call = this.collectArguments(text, open);
+            if (!call) return true;
+            i = call.end;
+        }
+        return false;
+    }
+
+    // Split `NAME(a, (b, c), "d,e")` into raw argument texts; returns null if ')' is missing
+    collectArguments(text, open) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+
+        for (let i = open; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '"' || ch === "'") {
+                const end = skipLiteral(text, i);
+                current += text.slice(i, end);
+                i = end - 1;
+                continue;
+            }
+            if (ch === '(') {
+                if (depth++ === 0) continue;
+            } else if (ch === ')') {
+                if (--depth === 0) {
+                    args.push(current.trim());
+                    return { args, end: i + 1 };
+                }
+            } else if (ch === ',' && depth === 1) {
+                args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        return null;
+    }
+
+    // Match call arguments to macro parameters; returns { param: rawText } or null on arity errors
+    bindArguments(name, macro, args, context) {
+        const { params, variadic } = macro;
+        if (params.length === 0 && args.length === 1 && args[0] === '') args = [];
+
+        const fixed = variadic ? params.length - 1 : params.length;
+        if (args.length < fixed || (!variadic && args.length > fixed)) {
+            this.error(`Macro '${name}' expects ${fixed} argument(s) but got ${args.length}`, context.file, context.line);
+            return null;
+        }
+
+        const bound = {};
+        params.forEach((param, index) => {
+            bound[param] = variadic && index === fixed ? args.slice(fixed).join(', ') : args[index];
+        });
+        return bound;
+    }
+
+    // Replace parameters in a function-like macro body, handling # (stringify) and ## (paste)
+    substitute(macro, args, disabled, context) {
+        const pieces = [];
+        BODY_PIECE.lastIndex = 0;
+        let match;
+        while (BODY_PIECE.lastIndex < macro.body.length && (match = BODY_PIECE.exec(macro.body))) {
+            pieces.push(match[0]);
+        }
+
+        const isParam = (piece) => Object.prototype.hasOwnProperty.call(args, piece);
+        const neighbour = (index, step) => {
+            for (let j = index + step; j >= 0 && j < pieces.length; j += step) {
+                if (!/^\s+$/.test(pieces[j])) return pieces[j];
+            }
+            return null;
+        };
+
+        let out = '';
+        for (let k = 0; k < pieces.length; k++) {
+            const piece = pieces[k];
+
+            if (piece === '#' && isParam(neighbour(k, 1))) {
+                while (!isParam(pieces[k])) k++;
+                out += `"${args[pieces[k]].replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+            } else if (piece === '##') {
+                out = out.trimEnd();
+                while (k + 1 < pieces.length && /^\s+$/.test(pieces[k + 1])) k++;
+            } else if (isParam(piece)) {
+                const pasted = neighbour(k, -1) === '##' || neighbour(k, 1) === '##';
+                out += pasted ? args[piece] : this.expand(args[piece], disabled, context);
+            } else {
+                out += piece;
+            }
+        }
+        return out;
+    }
+
+    // Evaluate the controlling expression of #if / #elif
+    evaluate(text, file, line) {
+        const resolved = text.replace(
+            /\bdefined\s*(?:\(\s*([A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))/g,
+            (_, wrapped, bare) => this.macros.has(wrapped || bare) ? '1' : '0'
+        );
+        // Identifiers left after expansion count as 0; literal suffixes are dropped
+        const expanded = this.expand(resolved, new Set(), { file, line })
+            .replace(/\b[A-Za-z_]\w*\b/g, '0')
+            .replace(/\b(0[xX][0-9a-fA-F]+|\d+)[uUlL]+/g, '$1');
+
+        try {
+            return new ConditionEvaluator(expanded).evaluate() !== 0;
+        } catch (e) {
+            this.error(`Invalid #if expression: ${e.message}`, file, line);
+            return false;
+        }
+    }
+}
+
+// Precedence-climbing evaluator for integer constant expressions in #if
+class ConditionEvaluator {
+    constructor(text) {
+        this.tokens = [];
+        this.pos = 0;
+
+        CONDITION_TOKEN.lastIndex = 0;
+        let end = 0;
+        let match;
+        while ((match = CONDITION_TOKEN.exec(text))) {
+            this.tokens.push(match[1]);
+            end = CONDITION_TOKEN.lastIndex;
+        }
+        const leftover = text.slice(end).trim();
+        if (leftover) throw new Error(`unexpected '${leftover}'`);
+    }
+
+    evaluate() {
+        if (this.tokens.length === 0) throw new Error("missing expression");
+        const value = this.conditional();
+        if (this.pos < this.tokens.length) throw new Error(`unexpected '${this.tokens[this.pos]}'`);
+        return value;
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    expect(value) {
+        if (this.next() !== value) throw new Error(`expected '${value}'`);
+    }
+
+    conditional() {
+        const cond = this.binary(1);
+        if (this.tokens[this.pos] !== '?') return cond;
+        this.pos++;
+        const whenTrue = this.conditional();
+        this.expect(':');
+        const whenFalse = this.conditional();
+        return cond !== 0 ? whenTrue : whenFalse;
+    }
+
+    binary(minPrecedence) {
+        let left = this.unary();
+        while (CONDITION_PRECEDENCE[this.tokens[this.pos]] >= minPrecedence) {
+            const op = this.next();
+            const right = this.binary(CONDITION_PRECEDENCE[op] + 1);
+            left = this.apply(op, left, right);
+        }
+        return left;
+    }
+
+    unary() {
+        const token = this.next();
+        switch (token) {
+            case '-': return -this.unary();
+            case '+': return this.unary();
+            case '!': return this.unary() === 0 ? 1 : 0;
+            case '~': return ~this.unary();
+            case '(': {
+                const value = this.conditional();
+                this.expect(')');
+                return value;
+            }
+        }
+        if (token === undefined) throw new Error("unexpected end of expression");
+        if (token.startsWith("'")) return token.length === 3 ? token.charCodeAt(1) : 0;
+        if (/^0[xX]/.test(token)) return parseInt(token, 16);
+        if (/^0\d/.test(token)) return parseInt(token, 8);
+        if (/^\d/.test(token)) return parseInt(token, 10);
+        throw new Error(`unexpected '${token}'`);
+    }
+
+    apply(op, a, b) {
+        switch (op) {
+            case '||': return (a !== 0 || b !== 0) ? 1 : 0;
+            case '&&': return (a !== 0 && b !== 0) ? 1 : 0;
+            case '|': return a | b;
+            case '^': return a ^ b;
+            case '&': return a & b;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/':
+            case '%':
+                if (b === 0) throw new Error("division by zero");
+                return op === '/' ? Math.trunc(a / b) : a % b;
+        }
+    }
+}
@@ -0,0 +1,116 @@
+// reachability.js
+// This file follows the flow of control through a function body: which statements can never run,
+// and whether control can fall off the end of the function.
+
+import { Visitor, BlockNode, CaseLabelNode, EmptyStatementNode, ErrorNode } from './astNodes.js';
+import { evaluateConstant } from './constants.js';
+
+// Each visit returns whether the statement can complete normally, that is, whether control can go on
+// to the statement after it. Dead statements are passed to `onUnreachable`, one per run of them.
+export class ReachabilityAnalyzer extends Visitor {
+    constructor(onUnreachable) {
+        super();
+        this.onUnreachable = onUnreachable;
+        this.targets = [];     // Enclosing loops and switches, innermost last: { isLoop, broken, continued }
+    }
+
+    // Can control reach the end of a function body?
+    analyze(body) {
+        return this.visit(body);
+    }
+
+    // Expressions and declarations always complete
+    genericVisit(node) {
+        return true;
+    }
+
+    visitBlockNode(node) {
+        return this.visitStatements(node.statements, true);
+    }
+
+    // Statements in order: after one that cannot complete, the rest are dead until a case label
+    visitStatements(statements, reachable) {
+        let reported = false;
+        for (const statement of statements) {
+            if (statement instanceof CaseLabelNode) {
+                reachable = true;
+                reported = false;
+            } else if (reachable) {
+                reachable = this.visit(statement);
+            } else if (!reported && !(statement instanceof EmptyStatementNode || statement instanceof ErrorNode)) {
+                this.onUnreachable(statement);
+                reported = true;
+            }
+        }
+        return reachable;
+    }
+
+    visitIfStatementNode(node) {
+        const ifCompletes = this.visit(node.ifBody);
+        const elseCompletes = node.elseBody ? this.visit(node.elseBody) : true;
+        return ifCompletes || elseCompletes;
+    }
+
+    visitWhileLoopNode(node) {
+        return this.visitLoop(node.body, node.condition);
+    }
+
+    visitForLoopNode(node) {
+        return this.visitLoop(node.body, node.condition);
+    }
+
+    // A loop ends when its condition fails, which one that is always true (or missing) never does;
+    // either way a break gets out
+    visitLoop(body, condition) {
+        const target = this.visitTarget(body, true).target;
+        return target.broken || !this.alwaysTrue(condition);
+    }
+
+    // The body runs before the condition is first checked, so it has to get that far
+    visitDoWhileLoopNode(node) {
+        const { target, completes } = this.visitTarget(node.body, true);
+        const checksCondition = completes || target.continued;
+        return target.broken || (checksCondition && !this.alwaysTrue(node.condition));
+    }
+
+    // Only case labels lead into a switch body; control gets past the switch by a break, by running off
+    // the end of the body, or, without a default label, when no case matches
+    visitSwitchStatementNode(node) {
+        const statements = node.body instanceof BlockNode ? node.body.statements : [node.body];
+        const { target, completes } = this.visitTarget(statements, false);
+        const hasDefault = (node.labels ?? []).some(label => !label.value);
+        return target.broken || completes || !hasDefault;
+    }
+
+    // Visit a loop body (or switch statements) that break and continue statements refer to
+    visitTarget(body, isLoop) {
+        const target = { isLoop, broken: false, continued: false };
+        this.targets.push(target);
+        const completes = Array.isArray(body) ? this.visitStatements(body, false) : this.visit(body);
+        this.targets.pop();
+        return { target, completes };
+    }
+
+    visitBreakStatementNode(node) {
+        const target = this.targets[this.targets.length - 1];
+        if (target) target.broken = true;
+        return false;
+    }
+
+    visitContinueStatementNode(node) {
+        const loop = this.targets.findLast(target => target.isLoop);
+        if (loop) loop.continued = true;
+        return false;
+    }
+
+    visitReturnStatementNode(node) {
+        return false;
+    }
+
+    // A missing condition (for (;;)) counts as true
+    alwaysTrue(condition) {
+        if (!condition) return true;
+        const value = evaluateConstant(condition);
+        return value !== null && value !== 0;
+    }
+}
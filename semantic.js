@@ -1,7 +1,49 @@
 // semantic.js
 // Handles semantic analysis and symbol table management
 
-import { ASTNode } from './astNodes.js';
+import {
+    Visitor, BlockNode, InitializerListNode, ErrorNode, IdentifierNode, StringLiteralNode, ConversionNode,
+    FunctionDefinitionNode, FunctionPrototypeNode
+} from './astNodes.js';
+import { evaluateConstant, hasFloatingType, literalTypeName, stringLiteralLength } from './constants.js';
+import { ReachabilityAnalyzer } from './reachability.js';
+import { InitializationAnalyzer } from './initialization.js';
+import {
+    ArrayType, PointerType, PrimitiveType, StructType, primitiveType, withConst, flattenInitializer, decay, isAggregate,
+    isArithmetic, promote, commonType, needsConversion
+} from './types.js';
+
+const INT = primitiveType('int');
+
+// Operators that only take integers
+const INTEGER_OPERATORS = ['%', '<<', '>>', '&', '|', '^'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '>', '<=', '>='];
+// Operators whose operands are not converted to a common type
+const SEPARATE_OPERAND_OPERATORS = ['<<', '>>', '&&', '||'];
+
+// What the argument of each printf conversion must be (%d takes an integer, ...)
+const PRINTF_CONVERSIONS = {
+    d: 'integer', i: 'integer', u: 'integer', o: 'integer', x: 'integer', X: 'integer', c: 'integer',
+    f: 'floating', F: 'floating', e: 'floating', E: 'floating', g: 'floating', G: 'floating',
+    s: 'string', p: 'pointer'
+};
+const PRINTF_ARGUMENTS = {
+    integer: { description: 'an integer', accepts: type => isArithmetic(type) && type.isInteger() },
+    floating: { description: 'a floating-point number', accepts: type => isArithmetic(type) && type.isFloating() },
+    string: { description: "a string ('char*')", accepts: type => type instanceof PointerType && /^(un)?(signed )?char$/.test(type.targetType.name) },
+    pointer: { description: 'a pointer', accepts: type => type instanceof PointerType }
+};
+// One conversion specification: %[flags][width][.precision][length]conversion
+const PRINTF_SPECIFICATION = /%[-+ #0]*(\*|\d+)?(?:\.(\*|\d+))?(?:hh|h|ll|l|L|z|j|t)?(.?)/g;
+
+// Every warning the analyzer can give, by the code it is reported (and switched on or off) under
+export const WARNING_CODES = {
+    'unused-variable': 'Local variable that is never used',
+    'unused-parameter': 'Parameter that is never used',
+    'shadow': 'Declaration that hides a variable of an enclosing scope',
+    'uninitialized': 'Variable read before it is given a value',
+    'unreachable-code': 'Statement that can never run'
+};
 
 // ------------------------
 // 📚 Symbol Table
@@ -10,13 +52,18 @@ export class SymbolTable {
     constructor(name, parent = null) {
         this.name = name;              // Scope name (e.g., 'global', 'main', 'block')
         this.parent = parent;          // Reference to the parent scope
-        this.symbols = {};             // Stores symbols as { name: { type, params } }
+        this.symbols = {};             // Stores symbols as { name: { type, params, size, align, used, ...details } }
+        this.structs = {};             // Struct tags live in their own namespace: { name: StructType }
     }
 
-    // Define a new symbol in the current scope
-    define(name, type, params = []) {
+    // Define a new symbol in the current scope. Objects and typedefs record the size and alignment
+    // of their type (unknown for a struct that is not defined yet).
+    define(name, type, params = [], details = {}) {
         if (this.symbols[name]) return false; // Already defined
-        this.symbols[name] = { type, params };
+        const { dataType } = details;
+        const sized = dataType && !(dataType instanceof StructType && !dataType.isComplete());
+        const layout = sized ? { size: dataType.size(), align: dataType.align() } : {};
+        this.symbols[name] = { type, params, ...layout, ...details };
         return true;
     }
 
@@ -29,35 +76,80 @@ export class SymbolTable {
         }
         return null; // Not found
     }
+
+    defineStruct(name, type) {
+        this.structs[name] = type;
+    }
+
+    // Lookup a struct tag in current or parent scopes
+    lookupStruct(name) {
+        let scope = this;
+        while (scope) {
+            if (scope.structs[name]) return scope.structs[name];
+            scope = scope.parent;
+        }
+        return null;
+    }
 }
 
 // ------------------------
 // 🧠 Semantic Analyzer
 // ------------------------
-export class SemanticAnalyzer {
-    constructor() {
+// `options.warnings` switches warnings on or off by code ({ shadow: false }); all are on by default.
+export class SemanticAnalyzer extends Visitor {
+    constructor(options = {}) {
+        super();
+        this.enabledWarnings = { ...Object.fromEntries(Object.keys(WARNING_CODES).map(code => [code, true])), ...options.warnings };
         this.globalScope = new SymbolTable('global');
         this.currentScope = this.globalScope;
         this.scopes = [this.globalScope];
         this.errors = [];
+        this.warnings = [];            // Problems that do not stop code generation
+        this.loopDepth = 0;            // How many loops enclose the current statement
+        this.switchStack = [];         // Enclosing switch statements, innermost last
+        this.returnType = null;        // Result type of the function being analyzed
+
+        this.functionNames = new Set();  // Every function the program declares, wherever it does
 
-        // Add built-in functions
-        this.globalScope.define('printf', 'function');
+        // Add built-in functions; printf takes a format and any number of arguments after it
+        this.globalScope.define('printf', 'function', [], { returnType: 'int', paramTypes: [], variadic: true });
     }
 
-    // Record an error with line info
+    // Record an error with the position where the offending node starts
     error(message, node) {
         this.errors.push({
+            severity: 'error',
             message: `Semantic Error: ${message}`,
-            line: node.token.line
+            line: node.span?.start.line ?? null,
+            col: node.span?.start.col ?? null
         });
     }
 
+    // Record a warning under its code, unless that code is switched off. Notes ({ message, node })
+    // point at related places and follow the warning they explain.
+    warn(code, message, node, notes = []) {
+        if (!this.enabledWarnings[code]) return;
+        this.warnings.push({
+            severity: 'warning',
+            code,
+            message: `Semantic Warning: ${message} [${code}]`,
+            line: node.span?.start.line ?? null,
+            col: node.span?.start.col ?? null
+        });
+        notes.forEach(note => this.warnings.push({
+            severity: 'note',
+            message: `Note: ${note.message}`,
+            line: note.node?.span?.start.line ?? null,
+            col: note.node?.span?.start.col ?? null
+        }));
+    }
+
     // Main entry to start semantic analysis
     analyze(ast) {
         this.visit(ast);
         return {
             errors: this.errors,
+            warnings: this.warnings,
             scopes: this.scopes
         };
     }
@@ -69,31 +161,28 @@ export class SemanticAnalyzer {
         this.currentScope = newScope;
     }
 
-    // Exit current scope to parent
+    // Exit current scope to parent, reporting the locals and parameters nobody used
     exitScope() {
+        this.reportUnused(this.currentScope);
         this.currentScope = this.currentScope.parent;
     }
 
-    // Dispatcher: calls the right visit method for each node type
-    visit(node) {
-        if (!node) return;
-        const methodName = `visit${node.constructor.name}`;
-        if (this[methodName]) {
-            this[methodName](node);
-        } else {
-            this.genericVisit(node); // fallback
-        }
+    reportUnused(scope) {
+        Object.entries(scope.symbols).forEach(([name, symbol]) => {
+            if (symbol.used || !symbol.declaration) return;
+            if (symbol.type === 'variable') this.warn('unused-variable', `Unused variable '${name}'.`, symbol.declaration);
+            if (symbol.type === 'parameter') this.warn('unused-parameter', `Unused parameter '${name}'.`, symbol.declaration);
+        });
     }
 
-    // Visit all children recursively
-    genericVisit(node) {
-        for (const key in node) {
-            if (node[key] instanceof ASTNode) {
-                this.visit(node[key]);
-            } else if (Array.isArray(node[key])) {
-                node[key].forEach(child => this.visit(child));
-            }
-        }
+    // A local declared with the name of a variable or parameter from an enclosing scope hides it
+    checkShadowing(nameNode) {
+        if (this.currentScope === this.globalScope || this.currentScope.symbols[nameNode.name]) return;
+        const outer = this.currentScope.parent.lookup(nameNode.name);
+        if (outer?.type !== 'variable' && outer?.type !== 'parameter') return;
+        const what = outer.type === 'parameter' ? 'parameter' : 'variable';
+        this.warn('shadow', `Declaration of '${nameNode.name}' shadows an outer ${what}.`, nameNode,
+            outer.declaration ? [{ message: `Shadowed declaration of '${nameNode.name}' is here.`, node: outer.declaration }] : []);
     }
 
     // --------------------
@@ -101,29 +190,260 @@ export class SemanticAnalyzer {
     // --------------------
 
     visitProgramNode(node) {
+        node.children.forEach(child => {
+            if (child instanceof FunctionDefinitionNode || child instanceof FunctionPrototypeNode) this.functionNames.add(child.name.name);
+        });
         this.genericVisit(node);
     }
 
     visitFunctionDefinitionNode(node) {
-        // Register function in global scope
+        // Register function in global scope (or complete an earlier prototype)
         const name = node.name.name;
-        const defined = this.globalScope.define(name, 'function', node.params);
-        if (!defined) {
+        const symbol = this.declareFunction(node);
+        if (symbol?.defined) {
             this.error(`Function '${name}' already defined.`, node.name);
+        } else if (symbol) {
+            symbol.defined = true;
+            symbol.params = node.params;
         }
 
         // New scope for function body
         this.enterScope(name);
+        this.returnType = this.resolveType(node.returnType);
 
         // Define function parameters
         node.params.forEach(param => {
-            this.currentScope.define(param.paramName.name, param.paramType);
+            if (!param.paramName) return;
+            const onError = message => this.error(`${message} for parameter '${param.paramName.name}'.`, param.paramName);
+            const dataType = this.parameterType(param, onError);
+            const problem = this.objectTypeError(dataType);
+            if (problem) this.error(`Parameter '${param.paramName.name}' ${problem}.`, param.paramName);
+            this.currentScope.define(param.paramName.name, 'parameter', [], { dataType, declaration: param.paramName });
         });
 
-        this.visit(node.body);
+        // The body's declarations share the parameters' scope, so redeclaring a parameter is an error
+        this.genericVisit(node.body);
+        this.checkFlow(node);
+        this.returnType = null;
         this.exitScope();
     }
 
+    // Warn about statements that can never run and variables read before they are set, and make sure
+    // a function with a result returns one. main is exempt: falling off its end returns 0.
+    checkFlow(node) {
+        const initialization = new InitializationAnalyzer(identifier => {
+            const declaration = identifier.symbol.declaration;
+            this.warn('uninitialized', `'${identifier.name}' is used uninitialized.`, identifier,
+                [{ message: `'${identifier.name}' is declared here.`, node: declaration }]);
+        });
+        initialization.analyze(node.body);
+
+        const flow = new ReachabilityAnalyzer(statement => this.warn('unreachable-code', `Unreachable code.`, statement));
+        const reachesEnd = flow.analyze(node.body);
+        const name = node.name.name;
+        if (reachesEnd && !this.isVoid(this.returnType) && name !== 'main') {
+            this.error(`Control can reach the end of non-void function '${name}' without a return.`, node.name);
+        }
+    }
+
+    // void itself (not a pointer to it)
+    isVoid(type) {
+        return type instanceof PrimitiveType && type.name === 'void';
+    }
+
+    visitFunctionPrototypeNode(node) {
+        this.declareFunction(node);
+    }
+
+    // Add a function to the global scope, or check it against an earlier declaration.
+    // Returns the function's symbol (null if the name belongs to something else).
+    declareFunction(node) {
+        const name = node.name.name;
+        const existing = this.globalScope.symbols[name];
+
+        if (!existing) {
+            this.globalScope.define(name, 'function', node.params, {
+                returnType: node.returnType,
+                paramTypes: node.params.map(param => this.parameterType(param)),
+                defined: false
+            });
+            return this.globalScope.symbols[name];
+        }
+
+        if (existing.type !== 'function') {
+            this.error(`'${name}' redeclared as a different kind of symbol.`, node.name);
+            return null;
+        }
+
+        const sameSignature = existing.returnType === node.returnType &&
+            existing.params.length === node.params.length &&
+            existing.params.every((param, i) => this.parameterType(param).equals(this.parameterType(node.params[i])));
+        if (!sameSignature) {
+            this.error(`Conflicting types for '${name}'.`, node.name);
+        }
+        return existing;
+    }
+
+    // Build the type of a declarator: base keyword (or a type already resolved), pointer stars, then array
+    // dimensions. An empty first dimension is allowed where `allowUnsized` says so (parameters, initialized arrays).
+    declaredType(baseName, pointerDepth, dimensions, onError = () => { }, allowUnsized = false) {
+        let type = typeof baseName === 'string' ? this.resolveType(baseName) : baseName;
+        for (let i = 0; i < pointerDepth; i++) type = new PointerType(type);
+        for (let i = dimensions.length - 1; i >= 0; i--) {
+            const dim = dimensions[i];
+            let length = null;
+            if (dim === null) {
+                if (i !== 0 || !allowUnsized) onError("Array size missing");
+            } else {
+                length = evaluateConstant(dim);
+                if (length === null || hasFloatingType(dim)) {
+                    onError("Array size must be an integer constant");
+                    length = null;
+                } else if (length <= 0) {
+                    onError("Array size must be positive");
+                }
+            }
+            type = new ArrayType(type, length);
+        }
+        return type;
+    }
+
+    // Type named by a type specifier as the parser spells it: 'unsigned long', 'struct Point',
+    // a typedef name, any of them after 'const '.
+    // A struct tag nobody has defined yet is declared (incomplete) in the current scope, as in C.
+    resolveType(name) {
+        if (name.startsWith('const ')) return withConst(this.resolveType(name.slice('const '.length)));
+        if (!name.startsWith('struct ')) {
+            const alias = this.currentScope.lookup(name);
+            return alias?.type === 'typedef' ? alias.dataType : primitiveType(name);
+        }
+        const tag = name.slice('struct '.length);
+        let type = this.currentScope.lookupStruct(tag);
+        if (!type) {
+            type = new StructType(tag);
+            this.currentScope.defineStruct(tag, type);
+        }
+        return type;
+    }
+
+    // Why no object can have this type (void, or a struct that was never defined); null if it can
+    objectTypeError(type) {
+        const base = type instanceof ArrayType ? type.baseType() : type;
+        if (this.isVoid(base)) return 'declared void';
+        if (base instanceof StructType && !base.isComplete()) return `has incomplete type '${base}'`;
+        return null;
+    }
+
+    visitTypedefNode(node) {
+        const name = node.name.name;
+        const onError = message => this.error(`${message} for typedef '${name}'.`, node.name);
+        if (node.definition) this.visit(node.definition);
+        const baseType = node.definition?.dataType ?? node.baseType;
+        const dataType = this.declaredType(baseType, node.pointerDepth, node.dimensions, onError);
+        if (!this.currentScope.define(name, 'typedef', [], { dataType })) {
+            this.error(`'${name}' redeclared as a different kind of symbol.`, node.name);
+        }
+    }
+
+    // The struct's type is left in node.dataType for a typedef that defines it
+    visitStructDefinitionNode(node) {
+        const name = node.name?.name ?? null;
+
+        // A tag already used in this scope (struct Node *next;) is completed by its definition;
+        // an anonymous struct is a type of its own that no tag can name again
+        let type = name === null ? null : this.currentScope.structs[name];
+        node.dataType = type;
+        if (type?.isComplete()) {
+            this.error(`Redefinition of 'struct ${name}'.`, node.name);
+            return;
+        }
+        if (!type) {
+            type = node.dataType = new StructType(name);
+            if (name !== null) this.currentScope.defineStruct(name, type);
+        }
+
+        const members = [];
+        node.members.forEach(member => {
+            const memberName = member.varName.name;
+            const onError = message => this.error(`${message} for member '${memberName}'.`, member.varName);
+            const memberType = this.declaredType(member.varType, member.pointerDepth, member.dimensions, onError);
+            const problem = this.objectTypeError(memberType);
+            member.dataType = memberType;
+
+            if (member.value) {
+                this.error(`Member '${memberName}' cannot have an initializer.`, member.varName);
+            }
+            if (members.some(other => other.name === memberName)) {
+                this.error(`Duplicate member '${memberName}' in '${type}'.`, member.varName);
+            } else if (problem) {
+                this.error(`Member '${memberName}' ${problem}.`, member.varName);
+            } else {
+                members.push({ name: memberName, type: memberType });
+            }
+        });
+
+        type.complete(members);
+    }
+
+    // Type of a parameter; array parameters are really pointers to their first element
+    parameterType(param, onError = () => { }) {
+        return decay(this.declaredType(param.paramType, param.pointerDepth, param.dimensions, onError, true));
+    }
+
+    // Report assignments that mix pointers and integers or different pointer types. `verb` says how
+    // the value gets there: 'assigning', or 'returning' for a return statement.
+    checkAssignable(targetType, valueNode, contextNode, verb = 'assigning') {
+        const valueType = decay(valueNode.dataType);
+        if (!targetType || !valueType || !this.checkValue(valueNode)) return;
+        const Verb = verb[0].toUpperCase() + verb.slice(1);
+
+        if (targetType instanceof StructType || valueType instanceof StructType) {
+            if (!targetType.equals(valueType)) {
+                this.error(`Incompatible types when ${verb} '${valueType}' to '${targetType}'.`, contextNode);
+            }
+        } else if (targetType instanceof PointerType) {
+            if (valueType instanceof PointerType) {
+                const voidPointer = [targetType, valueType].some(t => t.targetType.name === 'void');
+                if (!voidPointer && !targetType.equals(valueType)) {
+                    this.error(`Incompatible pointer types: ${verb} '${valueType}' to '${targetType}'.`, contextNode);
+                } else if (valueType.targetType.isConst && !targetType.targetType.isConst) {
+                    this.error(`${Verb} '${valueType}' to '${targetType}' discards the 'const' qualifier.`, contextNode);
+                }
+            } else if (evaluateConstant(valueNode) !== 0) {
+                this.error(`${Verb} '${valueType}' to pointer '${targetType}' needs a cast.`, contextNode);
+            }
+        } else if (valueType instanceof PointerType) {
+            this.error(`${Verb} pointer '${valueType}' to '${targetType}' needs a cast.`, contextNode);
+        }
+    }
+
+    // A void expression (a call to a void function) has no value to use; true if the node has one
+    checkValue(node) {
+        if (!this.isVoid(node?.dataType)) return true;
+        this.error(`Void value not ignored as it ought to be.`, node);
+        return false;
+    }
+
+    // Conditions of if, loops and ?: must be scalars (numbers or pointers)
+    checkCondition(node) {
+        if (!node || !this.checkValue(node)) return;
+        const type = node.dataType;
+        if (type && !decay(type).isScalar()) {
+            this.error(`Used '${type}' where a scalar is required.`, node);
+        }
+    }
+
+    // Make the conversion of parent[key] to `type` explicit when it changes the value's representation
+    // (int to double, say); parent can also be an array with an index as key
+    convert(parent, key, type) {
+        const operand = parent[key];
+        if (!type || !needsConversion(operand?.dataType, type)) return;
+        const conversion = new ConversionNode(operand, type.unqualified().name);
+        conversion.span = operand.span;
+        conversion.dataType = type.unqualified();
+        parent[key] = conversion;
+    }
+
     visitBlockNode(node) {
         this.enterScope('block');
         this.genericVisit(node);
@@ -132,68 +452,522 @@ export class SemanticAnalyzer {
 
     visitVariableDeclarationNode(node) {
         const name = node.varName.name;
-        const defined = this.currentScope.define(name, 'variable');
+        const initializer = node.value instanceof ErrorNode ? null : node.value; // Broken initializers were already reported
+        const isList = initializer instanceof InitializerListNode;
+        const onError = message => this.error(`${message} for '${name}'.`, node.varName);
+        let dataType = this.declaredType(node.varType, node.pointerDepth, node.dimensions, onError, isList);
+
+        const problem = this.objectTypeError(dataType);
+        if (problem) {
+            this.error(`Variable '${name}' ${problem}.`, node.varName);
+        }
+
+        if (isList) {
+            if (!isAggregate(dataType)) {
+                this.error(`Initializer list used for scalar '${name}'.`, node.varName);
+            } else {
+                const { count, overflow } = flattenInitializer(initializer, dataType);
+                if (dataType instanceof ArrayType && dataType.length === null) dataType = new ArrayType(dataType.elementType, count);
+                if (overflow) this.error(`Too many initializers for '${name}'.`, node.varName);
+            }
+        } else if (initializer && dataType instanceof ArrayType) {
+            this.error(`Array '${name}' must be initialized with a brace-enclosed list.`, node.varName);
+        }
+
+        // The TAC generator needs the layout for initializers and the data section
+        node.dataType = dataType;
+
+        this.checkShadowing(node.varName);
+        const details = { dataType, declaration: node.varName };
+        if (dataType instanceof ArrayType) details.dimensions = dataType.dimensions();
+        const defined = this.currentScope.define(name, 'variable', [], details);
         if (!defined) {
             this.error(`Variable '${name}' already declared.`, node.varName);
+        } else {
+            node.varName.symbol = this.currentScope.symbols[name];
         }
-        if (node.value) {
-            this.visit(node.value); // Check initializer
+
+        if (initializer) {
+            this.visit(initializer); // Check initializer
+            if (!isList && !(dataType instanceof ArrayType)) {
+                this.checkAssignable(dataType, initializer, node.varName);
+                this.convert(node, 'value', dataType);
+            }
+            const entries = isList && isAggregate(dataType) ? flattenInitializer(initializer, dataType).entries : [];
+            entries.forEach(entry => this.convert(entry.items, entry.index, entry.type));
+            const values = isList ? entries.map(entry => entry.items[entry.index]) : [node.value];
+            if (this.currentScope === this.globalScope && values.some(value => evaluateConstant(value) === null)) {
+                this.error(`Initializer of global '${name}' is not a constant expression.`, node.varName);
+            }
         }
     }
 
-    visitIdentifierNode(node) {
+    // `target` is set for the left side of an assignment, ++ and --: writing a variable does not count
+    // as using it (`x = 5;` and `x++;` alone leave it unused), and checkWritable reports functions there
+    visitIdentifierNode(node, { target = false } = {}) {
         const found = this.currentScope.lookup(node.name);
         if (!found) {
             this.error(`Undeclared variable '${node.name}'.`, node);
+        } else if (found.type === 'typedef') {
+            this.error(`'${node.name}' is a type name, not a value.`, node);
+            node.dataType = null;
+            return;
+        } else if (found.type === 'function' && !target) {
+            // There are no function pointers: a function name is only good for calling it
+            this.error(`Function '${node.name}' used as a value.`, node);
+            node.dataType = null;
+            return;
+        }
+        if (found) {
+            if (!target) found.used = true;
+            node.symbol = found; // Flow checks follow the variable itself, not its name
+        }
+        node.dataType = found?.dataType ?? null;
+    }
+
+    visitArrayAccessNode(node) {
+        this.visit(node.array);
+        this.visit(node.index);
+
+        // a[i] works on arrays and pointers alike
+        const arrayType = decay(node.array.dataType);
+        if (arrayType instanceof PointerType) {
+            node.dataType = arrayType.targetType;
+        } else {
+            node.dataType = null;
+            if (arrayType) this.error(`Subscripted value is not an array or pointer.`, node);
+        }
+
+        const indexType = node.index.dataType;
+        if (indexType && !(isArithmetic(indexType) && indexType.isInteger())) {
+            this.error(`Array subscript is not an integer (have '${indexType}').`, node.index);
         }
     }
 
+    visitMemberAccessNode(node) {
+        this.visit(node.object);
+        node.dataType = null;
+
+        const member = node.member.name;
+        const objectType = node.object.dataType;
+        if (!objectType) return;
+
+        // s.x needs a struct; p->x a pointer to one
+        const pointer = decay(objectType);
+        const structType = node.op === '->' ? (pointer instanceof PointerType ? pointer.targetType : null) : objectType;
+        if (!(structType instanceof StructType)) {
+            const expected = node.op === '->' ? 'a pointer to a struct' : 'a struct';
+            this.error(`Member '${member}' requested with '${node.op}' on '${objectType}', which is not ${expected}.`, node);
+            return;
+        }
+
+        const field = structType.field(member);
+        if (!structType.isComplete()) {
+            this.error(`'${structType}' is an incomplete type.`, node);
+        } else if (!field) {
+            this.error(`'${structType}' has no member named '${member}'.`, node);
+        } else {
+            // Members of a const struct are const too
+            node.dataType = structType.isConst ? withConst(field.type) : field.type;
+        }
+    }
+
+    // The left side of an assignment, ++ or --
+    visitTarget(node) {
+        if (node instanceof IdentifierNode) this.visitIdentifierNode(node, { target: true });
+        else this.visit(node);
+    }
+
+    // Report a write (assignment, ++, --) to a function or through a const-qualified lvalue; true if it is allowed
+    checkWritable(target, node) {
+        if (target instanceof IdentifierNode && this.currentScope.lookup(target.name)?.type === 'function') {
+            this.error(`Cannot assign to function '${target.name}'.`, node);
+            return false;
+        }
+        if (!target.dataType?.isConst) return true;
+        const what = target instanceof IdentifierNode ? `variable '${target.name}'` : 'location';
+        this.error(`Assignment of read-only ${what}.`, node);
+        return false;
+    }
+
     visitAssignmentNode(node) {
-        this.visit(node.left);
+        this.visitTarget(node.left);
         this.visit(node.right);
+        node.dataType = node.left.dataType;
+
+        if (node.left.dataType instanceof ArrayType) {
+            this.error(`Array is not assignable.`, node.left);
+        } else if (!this.checkWritable(node.left, node.left)) {
+            return;
+        } else if (node.op === '=') {
+            this.checkAssignable(node.left.dataType, node.right, node.left);
+            this.convert(node, 'right', node.left.dataType);
+        } else if (this.checkOperands(node.op.slice(0, -1), node.left, node.right)) {
+            // x op= y computes x op y in their common type, then converts the result back to x's type
+            this.checkArithmetic(node.op.slice(0, -1), node.left.dataType, node.right.dataType, node);
+            if (isArithmetic(node.left.dataType) && isArithmetic(node.right.dataType)) {
+                node.operationType = commonType(node.left.dataType, node.right.dataType);
+                this.convert(node, 'right', node.operationType);
+            }
+        }
     }
 
     visitBinaryOpNode(node) {
         this.visit(node.left);
         this.visit(node.right);
+        if (node.op === ',') {
+            node.dataType = node.right.dataType;
+            return;
+        }
+        if (!this.checkOperands(node.op, node.left, node.right)) {
+            node.dataType = null;
+            return;
+        }
+
+        node.dataType = this.checkArithmetic(node.op, node.left.dataType, node.right.dataType, node);
+        // Numbers are brought to a common type first (1 + 2.5 adds doubles); shifts and logical
+        // operators work on each operand separately
+        if (isArithmetic(node.left.dataType) && isArithmetic(node.right.dataType) && !SEPARATE_OPERAND_OPERATORS.includes(node.op)) {
+            const operandType = commonType(node.left.dataType, node.right.dataType);
+            this.convert(node, 'left', operandType);
+            this.convert(node, 'right', operandType);
+        }
+    }
+
+    // Operands of a binary operator must have values, and string literals only make sense as whole strings
+    checkOperands(op, ...operands) {
+        const literal = operands.find(operand => operand instanceof StringLiteralNode);
+        if (literal) {
+            this.error(`String literal used as an operand of '${op}'.`, literal);
+            return false;
+        }
+        return operands.every(operand => this.checkValue(operand));
+    }
+
+    // Result type of `left op right`, reporting operators that the operand types do not support.
+    // Numbers give their common type (comparisons an int); integer-only operators reject floating point.
+    // Pointer arithmetic: ptr + int, int + ptr, ptr - int give a pointer; ptr - ptr gives an int.
+    checkArithmetic(op, leftType, rightType, node) {
+        const left = decay(leftType);
+        const right = decay(rightType);
+        if (!left || !right) return null;
+
+        const invalid = () => {
+            this.error(`Invalid operands to binary '${op}' (have '${left}' and '${right}').`, node);
+            return null;
+        };
+        if (left instanceof StructType || right instanceof StructType) return invalid();
+
+        const leftPointer = left instanceof PointerType;
+        const rightPointer = right instanceof PointerType;
+        if (!leftPointer && !rightPointer) {
+            if (INTEGER_OPERATORS.includes(op) && (left.isFloating() || right.isFloating())) return invalid();
+            if (COMPARISON_OPERATORS.includes(op) || op === '&&' || op === '||') return INT;
+            if (op === '<<' || op === '>>') return promote(left);
+            return commonType(left, right);
+        }
+
+        // The number added to or subtracted from a pointer counts elements
+        const offset = leftPointer ? right : left;
+        const integerOffset = isArithmetic(offset) && offset.isInteger();
+        switch (op) {
+            case '+':
+                if ((leftPointer && rightPointer) || !integerOffset) return invalid();
+                return leftPointer ? left : right;
+            case '-':
+                if (leftPointer && rightPointer) return left.equals(right) ? INT : invalid();
+                return leftPointer && integerOffset ? left : invalid();
+            case '==': case '!=': case '<': case '>': case '<=': case '>=':
+                if (leftPointer && rightPointer && !left.equals(right)) return invalid();
+                if (leftPointer !== rightPointer && evaluateConstant(leftPointer ? node.right : node.left) !== 0) {
+                    return invalid();
+                }
+                return INT;
+            case '&&': case '||':
+                return INT;
+            default:
+                return invalid();
+        }
+    }
+
+    visitUnaryOpNode(node) {
+        if (node.op === '++' || node.op === '--') this.visitTarget(node.arg);
+        else this.visit(node.arg);
+        const argType = node.arg.dataType;
+        if (!this.checkValue(node.arg)) {
+            node.dataType = null;
+            return;
+        }
+
+        // The only thing to do with a whole struct is take its address
+        if (argType instanceof StructType && node.op !== '&') {
+            this.error(`Invalid type argument of unary '${node.op}' (have '${argType}').`, node);
+            node.dataType = null;
+            return;
+        }
+
+        switch (node.op) {
+            case '&':
+                node.dataType = argType ? new PointerType(argType) : null;
+                break;
+            case '*': {
+                const pointer = decay(argType);
+                if (pointer && !(pointer instanceof PointerType)) {
+                    this.error(`Invalid type argument of unary '*' (have '${argType}').`, node);
+                }
+                node.dataType = pointer instanceof PointerType ? pointer.targetType : null;
+                break;
+            }
+            case '!':
+                node.dataType = INT;
+                break;
+            case '++':
+            case '--':
+                if (argType instanceof ArrayType) this.error(`Array is not assignable.`, node);
+                else this.checkWritable(node.arg, node);
+                node.dataType = argType;
+                break;
+            default:
+                // -x, +x and ~x compute in the promoted type; ~ needs an integer
+                if (argType && (!isArithmetic(argType) || (node.op === '~' && argType.isFloating()))) {
+                    this.error(`Invalid type argument of unary '${node.op}' (have '${argType}').`, node);
+                    node.dataType = null;
+                } else {
+                    node.dataType = argType && promote(argType);
+                }
+        }
+    }
+
+    visitTernaryOpNode(node) {
+        this.genericVisit(node);
+        this.checkCondition(node.condition);
+
+        // Numeric branches meet in their common type
+        const [whenTrue, whenFalse] = [node.whenTrue.dataType, node.whenFalse.dataType];
+        if (isArithmetic(whenTrue) && isArithmetic(whenFalse)) {
+            node.dataType = commonType(whenTrue, whenFalse);
+            this.convert(node, 'whenTrue', node.dataType);
+            this.convert(node, 'whenFalse', node.dataType);
+        } else {
+            node.dataType = whenTrue;
+        }
     }
 
     visitIfStatementNode(node) {
         this.visit(node.condition);
-        this.visit(node.ifBody);
+        this.checkCondition(node.condition);
+        this.visitSubstatement(node.ifBody);
         if (node.elseBody) {
-            this.visit(node.elseBody);
+            this.visitSubstatement(node.elseBody);
+        }
+    }
+
+    // The body of if/else, a loop or a switch is a scope of its own, braces or not (C99)
+    visitSubstatement(node) {
+        if (node instanceof BlockNode) {
+            this.visit(node);
+            return;
         }
+        this.enterScope('block');
+        this.visit(node);
+        this.exitScope();
     }
 
     visitForLoopNode(node) {
         this.enterScope('for-loop');
         this.visit(node.init);
         this.visit(node.condition);
+        this.checkCondition(node.condition);
         this.visit(node.increment);
-        this.visit(node.body);
+        this.visitLoopBody(node.body);
         this.exitScope();
     }
 
+    visitWhileLoopNode(node) {
+        this.visit(node.condition);
+        this.checkCondition(node.condition);
+        this.visitLoopBody(node.body);
+    }
+
+    visitDoWhileLoopNode(node) {
+        this.visitLoopBody(node.body);
+        this.visit(node.condition);
+        this.checkCondition(node.condition);
+    }
+
+    // Visit a loop body with break/continue allowed
+    visitLoopBody(body) {
+        this.loopDepth++;
+        this.visitSubstatement(body);
+        this.loopDepth--;
+    }
+
+    visitSwitchStatementNode(node) {
+        this.visit(node.discriminant);
+        const type = node.discriminant.dataType;
+        if (type && !(type instanceof PrimitiveType && type.isInteger())) {
+            this.error(`Switch quantity is not an integer (have '${type}').`, node.discriminant);
+        }
+
+        // The TAC generator dispatches on the labels collected here
+        node.labels = [];
+        this.switchStack.push(node);
+        this.visitSubstatement(node.body);
+        this.switchStack.pop();
+    }
+
+    visitCaseLabelNode(node) {
+        const kind = node.value ? 'case' : 'default';
+        const switchNode = this.switchStack[this.switchStack.length - 1];
+        if (!switchNode) {
+            this.error(`'${kind}' label not within a switch statement.`, node);
+            return;
+        }
+
+        if (!node.value) {
+            if (switchNode.labels.some(label => !label.value)) {
+                this.error(`Multiple default labels in one switch.`, node);
+                return;
+            }
+            switchNode.labels.push(node);
+            return;
+        }
+
+        this.visit(node.value);
+        const value = evaluateConstant(node.value);
+        if (value === null || hasFloatingType(node.value)) {
+            this.error(`Case label does not reduce to an integer constant.`, node);
+        } else if (switchNode.labels.some(label => label.value && evaluateConstant(label.value) === value)) {
+            this.error(`Duplicate case value '${value}'.`, node);
+        } else {
+            switchNode.labels.push(node);
+        }
+    }
+
+    visitBreakStatementNode(node) {
+        if (this.loopDepth === 0 && this.switchStack.length === 0) {
+            this.error(`'break' statement not within a loop or switch.`, node);
+        }
+    }
+
+    visitContinueStatementNode(node) {
+        if (this.loopDepth === 0) {
+            this.error(`'continue' statement not within a loop.`, node);
+        }
+    }
+
     visitFunctionCallNode(node) {
         const name = node.name.name;
         const func = this.currentScope.lookup(name);
 
-        if (!func) {
+        if (!func && this.functionNames.has(name)) {
+            this.error(`Function '${name}' is called before it is declared; add a prototype above the call.`, node.name);
+        } else if (!func) {
             this.error(`Function '${name}' not defined.`, node.name);
         } else if (func.type !== 'function') {
             this.error(`'${name}' is not a function.`, node.name);
         }
 
-        this.genericVisit(node); // visit args
+        node.args.forEach(arg => this.visit(arg));
+        const valid = node.args.every(arg => this.checkValue(arg));
+        node.dataType = func?.type === 'function' ? this.resolveType(func.returnType ?? 'int') : null;
+        if (func?.type === 'function' && valid) this.checkArguments(node, func);
     }
 
+    // Compare a call's arguments with the function's parameters and convert each to its parameter's type.
+    // An empty parameter list, `f()` as much as `f(void)`, means no arguments.
+    checkArguments(node, func) {
+        const name = node.name.name;
+        const expected = func.paramTypes.length;
+        const count = node.args.length;
+        if (count < expected || (count > expected && !func.variadic)) {
+            const problem = count < expected ? 'Too few' : 'Too many';
+            this.error(`${problem} arguments to function '${name}' (expected ${expected}, have ${count}).`, node.name);
+            return;
+        }
+
+        func.paramTypes.forEach((paramType, i) => {
+            this.checkAssignable(paramType, node.args[i], node.args[i], 'passing');
+            this.convert(node.args, i, paramType);
+        });
+        // Extra arguments get the default promotions; for us that means float becomes double
+        for (let i = expected; i < count; i++) {
+            if (node.args[i].dataType?.name === 'float') this.convert(node.args, i, primitiveType('double'));
+        }
+
+        if (name === 'printf') this.checkPrintfFormat(node);
+    }
+
+    // Match the conversions in printf's format string with the arguments after it
+    checkPrintfFormat(node) {
+        const [format, ...args] = node.args;
+        if (!format) {
+            this.error(`Too few arguments to function 'printf' (expected a format string).`, node.name);
+            return;
+        }
+        if (!PRINTF_ARGUMENTS.string.accepts(decay(format.dataType))) {
+            this.error(`Format of 'printf' must be a string (have '${format.dataType}').`, format);
+            return;
+        }
+        // A format only known at run time cannot be checked
+        if (!(format instanceof StringLiteralNode)) return;
+
+        // What the format expects, in order; a '*' width or precision takes an int argument of its own
+        const expectations = [];
+        for (const [specification, width, precision, conversion] of format.value.slice(1, -1).matchAll(PRINTF_SPECIFICATION)) {
+            if (conversion === '%' && specification === '%%') continue;
+            const kind = PRINTF_CONVERSIONS[conversion];
+            if (!kind) {
+                this.error(`Unknown conversion '${specification}' in format of 'printf'.`, format);
+                return;
+            }
+            if (width === '*') expectations.push({ specification, kind: 'integer' });
+            if (precision === '*') expectations.push({ specification, kind: 'integer' });
+            expectations.push({ specification, kind });
+        }
+
+        expectations.forEach(({ specification, kind }, i) => {
+            const arg = args[i];
+            const type = arg && decay(arg.dataType);
+            if (arg && type && !PRINTF_ARGUMENTS[kind].accepts(type)) {
+                const expected = PRINTF_ARGUMENTS[kind].description;
+                this.error(`Format '${specification}' expects ${expected}, but argument ${i + 2} has type '${arg.dataType}'.`, arg);
+            }
+        });
+        if (args.length !== expectations.length) {
+            const problem = args.length < expectations.length ? 'Too few' : 'Too many';
+            this.error(`${problem} arguments for format of 'printf' (expected ${expectations.length}, have ${args.length}).`, node.name);
+        }
+    }
+
+    // The value is converted to the function's result type as if assigned to it
     visitReturnStatementNode(node) {
         this.visit(node.value);
+        if (!this.returnType) return;
+        if (!node.value) {
+            if (!this.isVoid(this.returnType)) this.error(`'return' with no value in a function returning '${this.returnType}'.`, node);
+            return;
+        }
+        if (this.isVoid(this.returnType)) {
+            this.error(`'return' with a value in a function returning void.`, node);
+            return;
+        }
+        this.checkAssignable(this.returnType, node.value, node.value, 'returning');
+        this.convert(node, 'value', this.returnType);
+    }
+
+    visitStringLiteralNode(node) {
+        node.dataType = new ArrayType(primitiveType('char'), stringLiteralLength(node.value));
+    }
+
+    // Conversions are inserted already typed; one met again (when a tree is analyzed twice) keeps its type
+    visitConversionNode(node) {
+        this.visit(node.operand);
+        node.dataType = primitiveType(node.targetType);
     }
 
     // No-op visits (handled elsewhere or trivial)
     visitParamNode(node) { }
-    visitNumberNode(node) { }
-    visitStringLiteralNode(node) { }
+    visitErrorNode(node) { } // Already reported by the parser
+    visitNumberNode(node) { node.dataType = primitiveType(literalTypeName(node.value)); }
 }
@@ -0,0 +1,252 @@
+// ssa.js
+// This file converts a function's three-address code (see ir.js) into static single assignment form,
+// where every value is assigned exactly once: x becomes x1, x2, ... and φ-functions pick the version
+// that arrives at each join point. It also converts back out, replacing each φ by copies.
+//
+// Only values are renamed: temps assigned more than once, and variables that do not live in memory
+// (see memoryVariables). Globals, arrays, structs and variables whose address is taken are memory
+// that calls and pointers reach behind the names' backs, so they keep their one name.
+
+import { Instruction, IRFunction, IRProgram, Operand, label, isValue, operandKey, readFields, definition, memoryVariables } from './ir.js';
+import { buildCFG } from './cfg.js';
+import { DominatorTree } from './dominators.js';
+
+// Instructions that end a block by choosing between ways out; copies for a φ cannot go in front of
+// them, since the choice may read the value a copy overwrites
+const BRANCHES = ['if', 'ifFalse', 'table'];
+
+// Names for new versions of values: x1, x2, ..., or t4_1 when the name already ends in a digit and
+// t_1 for a variable t, whose x1 form would read as a temp. A name the function already uses (a
+// parameter x1, say) is skipped, so that no version reads as, or turns into, another value. Version 0, the value coming in from ENTRY,
+// keeps the plain name, so that it still means the parameter once out of SSA.
+function versionNamer(func, globals) {
+    const operands = func.code.flatMap(instruction => [instruction.arg1, instruction.arg2, instruction.result]);
+    const taken = new Set([...globals, ...operands.filter(isValue).map(operand => String(operand.value))]);
+    const counters = new Map();
+    return operand => {
+        const name = String(operand.value);
+        const separator = /\d$/.test(name) || (operand.kind === 'variable' && name === 't') ? '_' : '';
+        let n = counters.get(operandKey(operand)) ?? 0;
+        let version;
+        do {
+            n++;
+            version = `${name}${separator}${n}`;
+        } while (taken.has(version));
+        counters.set(operandKey(operand), n);
+        taken.add(version);
+        return new Operand(operand.kind, version);
+    };
+}
+
+// A copy of an instruction with some fields replaced (the original code is left as it was)
+function rebuild(instruction, fields) {
+    return Object.assign(Object.create(Instruction.prototype), instruction, fields);
+}
+
+// Values to rename: variables not in memory, and temps with more than one assignment
+function renamedValues(func, globals) {
+    const inMemory = memoryVariables(func, globals);
+    const assignments = new Map();
+    func.code.forEach(instruction => {
+        const defined = definition(instruction);
+        if (defined) assignments.set(operandKey(defined), (assignments.get(operandKey(defined)) ?? 0) + 1);
+    });
+    const renamed = new Map();     // Key -> the operand as first written
+    func.code.forEach(instruction => {
+        [...readFields(instruction).map(field => instruction[field]), definition(instruction)].forEach(operand => {
+            if (!isValue(operand) || inMemory.has(operandKey(operand))) return;
+            if (operand.kind === 'temp' && (assignments.get(operandKey(operand)) ?? 0) < 2) return;
+            renamed.set(operandKey(operand), operand);
+        });
+    });
+    return renamed;
+}
+
+// The SSA form of one function. Blocks ENTRY cannot reach are left out, so the blocks of the result
+// are those of `buildCFG` on it, and φ sources name them. Values read before any assignment (the
+// parameters, say) are version 0.
+// φ-functions go at the iterated dominance frontier of the blocks assigning a value (ENTRY counts,
+// for version 0), but only for values some block reads before assigning them: the others never
+// cross from one block to another.
+export function buildSSA(func, globals = []) {
+    const full = buildCFG(func);
+    const reachable = new Set(new DominatorTree(full).order);
+    const trimmed = new IRFunction(func.name);
+    trimmed.code = full.blocks.filter(block => reachable.has(block)).flatMap(block => block.instructions);
+
+    const cfg = buildCFG(trimmed);
+    const tree = new DominatorTree(cfg);
+    const renamed = renamedValues(trimmed, globals);
+
+    // Where each value is assigned, and which values are read in a block before it assigns them
+    const assignedIn = new Map([...renamed.keys()].map(key => [key, new Set([cfg.entry])]));
+    const crossing = new Set();
+    cfg.blocks.forEach(block => {
+        const assigned = new Set();
+        block.instructions.forEach(instruction => {
+            readFields(instruction).map(field => instruction[field]).filter(isValue).forEach(operand => {
+                if (!assigned.has(operandKey(operand))) crossing.add(operandKey(operand));
+            });
+            const defined = definition(instruction);
+            if (defined && renamed.has(operandKey(defined))) {
+                assigned.add(operandKey(defined));
+                assignedIn.get(operandKey(defined)).add(block);
+            }
+        });
+    });
+
+    // Place the φ-functions, block by block
+    const phis = new Map(cfg.nodes.map(block => [block, []]));
+    const phiKeys = new Map();     // φ -> key of the value it picks a version of
+    renamed.forEach((operand, key) => {
+        if (!crossing.has(key)) return;
+        const hasPhi = new Set();
+        const worklist = [...assignedIn.get(key)];
+        while (worklist.length > 0) {
+            const block = worklist.pop();
+            tree.frontier.get(block).forEach(join => {
+                if (hasPhi.has(join) || join === cfg.exit) return;
+                hasPhi.add(join);
+                const sources = join.predecessors.map(predecessor => ({ block: predecessor.id, value: operand }));
+                const phi = new Instruction('phi', null, null, operand, { sources });
+                phis.get(join).push(phi);
+                phiKeys.set(phi, key);
+                if (!assignedIn.get(key).has(join)) worklist.push(join);
+            });
+        }
+    });
+
+    // Rename down the dominator tree: each value's current version is the top of its stack
+    const newVersion = versionNamer(func, globals);
+    const stacks = new Map([...renamed].map(([key, operand]) => [key, [operand]]));
+    const current = operand => isValue(operand) && renamed.has(operandKey(operand)) ? stacks.get(operandKey(operand)).at(-1) : undefined;
+    const assign = operand => {
+        const version = newVersion(operand);
+        stacks.get(operandKey(operand)).push(version);
+        return version;
+    };
+
+    const code = new Map();        // Block -> its code in SSA form
+    const rename = block => {
+        const pushed = [];
+        const blockCode = [];
+        const labels = block.instructions.filter(instruction => instruction.op === 'label');
+        phis.get(block).forEach(phi => {
+            phi.result = assign(phi.result);
+            pushed.push(phiKeys.get(phi));
+        });
+        block.instructions.filter(instruction => instruction.op !== 'label').forEach(instruction => {
+            const fields = {};
+            readFields(instruction).forEach(field => {
+                const version = current(instruction[field]);
+                if (version) fields[field] = version;
+            });
+            const defined = definition(instruction);
+            if (defined && renamed.has(operandKey(defined))) {
+                fields.result = assign(defined);
+                pushed.push(operandKey(defined));
+            }
+            blockCode.push(Object.keys(fields).length > 0 ? rebuild(instruction, fields) : instruction);
+        });
+        code.set(block, [...labels, ...phis.get(block), ...blockCode]);
+
+        block.successors.forEach(successor => {
+            phis.get(successor).forEach(phi => {
+                phi.sources.filter(source => source.block === block.id).forEach(source => { source.value = stacks.get(phiKeys.get(phi)).at(-1); });
+            });
+        });
+        tree.children.get(block).forEach(rename);
+        pushed.forEach(key => stacks.get(key).pop());
+    };
+    rename(cfg.entry);
+
+    const ssa = new IRFunction(func.name);
+    ssa.code = cfg.blocks.flatMap(block => code.get(block));
+    return ssa;
+}
+
+// Back out of SSA form: each φ becomes a copy at the end of every predecessor, of the value that
+// comes from there. When the predecessor ends in a branch, the copy gets a block of its own on that
+// edge (the edge is split), so that it runs only when control really goes to the φ's block.
+// The versioned names stay. Copies on one edge can run one after another: each copies a version of
+// a different value, so none overwrites what another is about to read.
+export function leaveSSA(func) {
+    const cfg = buildCFG(func);
+    const blockById = new Map(cfg.nodes.map(block => [block.id, block]));
+    const labelNames = new Set(func.code.filter(instruction => instruction.op === 'label').map(instruction => instruction.result.value));
+    let nextLabel = 0;
+    const freshLabel = () => {
+        while (labelNames.has(`L${nextLabel}`)) nextLabel++;
+        labelNames.add(`L${nextLabel}`);
+        return label(`L${nextLabel}`);
+    };
+
+    // The copies for each edge, by predecessor then φ block
+    const copies = new Map();
+    cfg.blocks.forEach(block => {
+        block.instructions.filter(instruction => instruction.op === 'phi').forEach(phi => {
+            phi.sources.forEach(({ block: id, value }) => {
+                const predecessor = blockById.get(id);
+                if (!copies.has(predecessor)) copies.set(predecessor, new Map());
+                const edges = copies.get(predecessor);
+                if (!edges.has(block)) edges.set(block, []);
+                edges.get(block).push(new Instruction('=', value, null, phi.result));
+            });
+        });
+    });
+
+    const prologue = [...(copies.get(cfg.entry)?.values() ?? [])].flat();
+    const epilogue = [];           // Split edges reached by a jump go after the function's code
+    const code = cfg.blocks.flatMap((block, i) => {
+        const instructions = block.instructions.filter(instruction => instruction.op !== 'phi');
+        const edges = copies.get(block);
+        if (!edges) return instructions;
+        const last = instructions.at(-1);
+
+        if (!BRANCHES.includes(last.op)) {
+            const copied = [...edges.values()].flat();
+            return last.op === 'goto' ? [...instructions.slice(0, -1), ...copied, last] : [...instructions, ...copied];
+        }
+
+        // Split each edge to a φ block: a jump to it now goes to a new block holding the copies, and
+        // falling through to it now falls into one
+        let branch = last;
+        const fallThrough = [];
+        edges.forEach((copied, target) => {
+            const targetLabel = label(target.labels[0]);
+            const splitLabel = freshLabel();
+            const jumpsThere = name => target.labels.includes(name);
+            if (branch.op === 'table' && branch.targets.some(target => jumpsThere(target.value))) {
+                branch = rebuild(branch, { targets: branch.targets.map(target => jumpsThere(target.value) ? splitLabel : target) });
+                epilogue.push(new Instruction('label', null, null, splitLabel), ...copied, new Instruction('goto', null, null, targetLabel));
+            } else if (branch.op !== 'table' && jumpsThere(branch.result.value)) {
+                branch = rebuild(branch, { result: splitLabel });
+                epilogue.push(new Instruction('label', null, null, splitLabel), ...copied, new Instruction('goto', null, null, targetLabel));
+            }
+            if (branch.op !== 'table' && cfg.blocks[i + 1] === target) {
+                fallThrough.push(...copied, new Instruction('goto', null, null, targetLabel));
+            }
+        });
+        return [...instructions.slice(0, -1), branch, ...fallThrough];
+    });
+
+    const result = new IRFunction(func.name);
+    result.code = [...prologue, ...code, ...epilogue];
+    return result;
+}
+
+// Every function of a program in SSA form; the data section stays as it is
+export function buildProgramSSA(program) {
+    const globals = program.globals.map(global => global.name);
+    const result = new IRProgram();
+    result.globals = program.globals;
+    result.functions = program.functions.map(func => buildSSA(func, globals));
+    return result;
+}
+
+export function leaveProgramSSA(program) {
+    const result = new IRProgram();
+    result.globals = program.globals;
+    result.functions = program.functions.map(leaveSSA);
+    return result;
+}
@@ -1,106 +1,577 @@
 // tac.js
-// This file contains the TACGenerator class for generating Three Address Code.
+// This file contains the TACGenerator class for generating Three Address Code (as the IR in ir.js).
 
-export class TACGenerator {
+import {
+    Visitor, BinaryOpNode, UnaryOpNode, VariableDeclarationNode, InitializerListNode, ArrayAccessNode, IdentifierNode,
+    MemberAccessNode
+} from './astNodes.js';
+import { evaluateConstant, wrapInteger } from './constants.js';
+import { Instruction, IRFunction, IRGlobal, IRProgram, temp, variable, constant, label } from './ir.js';
+import {
+    ArrayType, PointerType, flattenInitializer, decay, isAggregate, scalarSlots, needsConversion, isArithmetic, promote,
+    operationType
+} from './types.js';
+
+// A switch gets a jump table once it has a few cases and they cover at least half of their value range;
+// sparse or small switches are lowered to a chain of comparisons instead
+const JUMP_TABLE_MIN_CASES = 4;
+const JUMP_TABLE_MIN_DENSITY = 0.5;
+
+// Details of an arithmetic instruction: the type it computes in, so that it can be folded the way C
+// computes it (unsigned, or as wide as a long). Address arithmetic on pointers records none.
+function computedIn(type) {
+    return isArithmetic(type) ? { type: type.unqualified().name } : {};
+}
+
+// Type of a binary operation on operands of these types, or null when one is not arithmetic
+function binaryOperationType(op, left, right) {
+    return isArithmetic(left) && isArithmetic(right) ? operationType(op, left, right) : null;
+}
+
+// Besides operands, the generator passes around the locations assignments store to: a variable
+// operand, an element or member inside a named variable ({ kind: 'indexed', base, offset }) or
+// whatever an address points to ({ kind: 'deref', address }).
+export class TACGenerator extends Visitor {
     constructor() {
+        super();
         this.tempCounter = 0;
         this.labelCounter = 0;
-        this.code = [];
+        this.program = new IRProgram();
+        this.code = [];        // Instructions of the function being generated
+        this.loopStack = [];   // Enclosing loops and switches: { breakLabel, continueLabel, isSwitch }
+        this.caseLabels = new Map();   // CaseLabelNode -> its label
+        this.tableCounter = 0;
+        this.scopes = [];              // Enclosing scopes, innermost last: source name -> name in the TAC
+        this.usedNames = new Set();    // Names of the globals, parameters and locals of the current function
+        this.madeUpNames = new Set();  // Those of them that were made up for shadowing variables
     }
 
     newTemp() {
-        return `t${this.tempCounter++}`;
+        return temp(`t${this.tempCounter++}`);
     }
 
     newLabel() {
-        return `L${this.labelCounter++}`;
+        return label(`L${this.labelCounter++}`);
     }
 
-    emit(op, arg1 = null, arg2 = null, result = null) {
-        let instruction = '';
-        if (result && arg2) {
-            instruction = `${result} = ${arg1} ${op} ${arg2}`;
-        } else if (result && arg1) {
-            instruction = `${result} = ${arg1}`;
-        } else if (arg1) {
-            instruction = `${op} ${arg1}`;
-        } else {
-            instruction = `${op}:`;
-        }
+    // Append an instruction and return it (a jump whose target is not known yet gets it by backpatching)
+    emit(op, arg1 = null, arg2 = null, result = null, details = {}) {
+        const instruction = new Instruction(op, arg1, arg2, result, details);
         this.code.push(instruction);
+        return instruction;
+    }
+
+    emitLabel(target) {
+        this.emit('label', null, null, target);
+    }
+
+    // Point every jump in a list at a label
+    backpatch(jumps, target) {
+        jumps.forEach(jump => { jump.result = target; });
+    }
+
+    // Emit a label here for a list of jumps; `target` is a label other jumps already use for this spot.
+    // Nothing is emitted when nobody jumps here.
+    placeLabel(jumps, target = null) {
+        if (jumps.length === 0 && !target) return null;
+        target ??= this.newLabel();
+        this.emitLabel(target);
+        this.backpatch(jumps, target);
+        return target;
+    }
+
+    // Code for a condition that jumps instead of computing a value (Dragon book 6.6). Returns
+    // { trueList, falseList }: the jumps, still without targets, taken when it holds and when it fails.
+    // The right operand of && and || is only reached when the left one has not decided the outcome.
+    jumping(node) {
+        if (node instanceof BinaryOpNode && (node.op === '&&' || node.op === '||')) {
+            const [proceed, decided] = node.op === '&&' ? ['trueList', 'falseList'] : ['falseList', 'trueList'];
+            const left = this.jumping(node.left);
+            this.continueWith(left, proceed);
+            const right = this.jumping(node.right);
+            return { [proceed]: right[proceed], [decided]: [...left[decided], ...right[decided]] };
+        }
+        if (node instanceof UnaryOpNode && node.op === '!') {
+            const { trueList, falseList } = this.jumping(node.arg);
+            return { trueList: falseList, falseList: trueList };
+        }
+
+        // A constant condition needs no test
+        const value = evaluateConstant(node);
+        if (value !== null) {
+            const jump = this.emit('goto');
+            return value ? { trueList: [jump], falseList: [] } : { trueList: [], falseList: [jump] };
+        }
+
+        const test = this.emit('if', this.visit(node));
+        const otherwise = this.emit('goto');
+        return { trueList: [test], falseList: [otherwise] };
+    }
+
+    // Let the code emitted next be where one side ('trueList' or 'falseList') of a condition goes.
+    // Jumps to the very next instruction are dropped first: a trailing `goto` of that side goes away,
+    // and `if t goto next` followed by the other side's `goto X` becomes `ifFalse t goto X`.
+    continueWith(condition, side, target = null) {
+        const other = side === 'trueList' ? 'falseList' : 'trueList';
+        const [test, last] = this.code.slice(-2);
+        if (last?.op === 'goto' && condition[side].includes(last)) {
+            this.code.pop();
+            condition[side] = condition[side].filter(jump => jump !== last);
+        } else if (last?.op === 'goto' && condition[other].includes(last) && condition[side].includes(test) &&
+            (test.op === 'if' || test.op === 'ifFalse')) {
+            this.code.pop();
+            test.op = test.op === 'if' ? 'ifFalse' : 'if';
+            test.result = last.result;
+            condition[side] = condition[side].filter(jump => jump !== test);
+            condition[other] = condition[other].map(jump => jump === last ? test : jump);
+        }
+        this.placeLabel(condition[side], target);
+        condition[side] = [];
+    }
+
+    // a && b, a || b or !a && b used as a value: jump on it, then set the result to 1 or 0
+    materialize(node) {
+        const condition = this.jumping(node);
+        const resultTemp = this.newTemp();
+        this.continueWith(condition, 'trueList');
+        this.emit('=', constant(1), null, resultTemp);
+        const endJump = this.emit('goto');
+        this.placeLabel(condition.falseList);
+        this.emit('=', constant(0), null, resultTemp);
+        this.placeLabel([endJump]);
+        return resultTemp;
     }
 
+    // Translate a whole program; returns an IRProgram
     generate(ast) {
         this.tempCounter = 0;
         this.labelCounter = 0;
+        this.program = new IRProgram();
         this.code = [];
+        this.loopStack = [];
+        this.caseLabels = new Map();
+        this.tableCounter = 0;
+        this.scopes = [];
         this.visit(ast);
-        return this.code;
+        return this.program;
     }
 
-    visit(node) {
-        if (!node) return null;
-        const methodName = `visit${node.constructor.name}`;
-        if (this[methodName]) {
-            return this[methodName](node);
-        }
+    // Nodes without a visit method (prototypes, typedefs, struct definitions, ...) generate no code
+    genericVisit(node) {
         return null;
     }
 
     visitProgramNode(node) {
-        node.children.forEach(child => this.visit(child));
+        // Globals are laid out in a data section ahead of the code
+        const globals = node.children.filter(child => child instanceof VariableDeclarationNode);
+        this.scopes = [new Map(globals.map(decl => [decl.varName.name, decl.varName.name]))];
+        globals.forEach(decl => this.emitGlobal(decl));
+
+        node.children
+            .filter(child => !(child instanceof VariableDeclarationNode))
+            .forEach(child => this.visit(child));
+    }
+
+    // Data section entry: one value per scalar inside, in memory order; trailing zeros are left out
+    emitGlobal(decl) {
+        const name = decl.varName.name;
+        const type = decl.dataType;
+
+        if (!isAggregate(type)) {
+            const value = decl.value ? evaluateConstant(decl.value) : 0;
+            this.program.globals.push(new IRGlobal(name, type.size(), [value], false));
+            return;
+        }
+
+        const values = new Map();
+        if (decl.value) {
+            flattenInitializer(decl.value, type).entries.forEach(({ offset, value }) => {
+                values.set(offset, evaluateConstant(value));
+            });
+        }
+        const slots = scalarSlots(type);
+        const last = slots.findLastIndex(slot => values.has(slot.offset));
+        const list = last >= 0 ? slots.slice(0, last + 1).map(slot => values.get(slot.offset) ?? 0) : [0];
+        this.program.globals.push(new IRGlobal(name, type.size(), list, true));
     }
 
     visitFunctionDefinitionNode(node) {
-        this.emit(`${node.name.name}`);
+        const func = new IRFunction(node.name.name);
+        this.program.functions.push(func);
+        this.code = func.code;
+        const params = node.params.filter(param => param.paramName).map(param => param.paramName.name);
+        this.usedNames = new Set([...this.scopes[0].keys(), ...params]);
+        this.madeUpNames = new Set();
+        this.scopes.push(new Map(params.map(name => [name, name])));
         this.visit(node.body);
+        this.scopes.pop();
     }
 
     visitBlockNode(node) {
-        node.statements.forEach(stmt => this.visit(stmt));
+        this.inScope(() => node.statements.forEach(stmt => this.visitForEffect(stmt)));
+    }
+
+    // Generate code whose declarations are visible only inside it
+    inScope(generate) {
+        this.scopes.push(new Map());
+        generate();
+        this.scopes.pop();
+    }
+
+    // The body of if/else, a loop or a switch is a scope of its own, braces or not
+    visitSubstatement(node) {
+        this.inScope(() => this.visitForEffect(node));
+    }
+
+    // TAC name of a newly declared local. One that shadows an outer variable is a different variable
+    // under the same name, so it gets a name of its own: z_1, z_2, ... So does a z_1 of the source
+    // declared after such a name was made up.
+    declare(name) {
+        let declared = name;
+        if (this.variableName(name) !== null || this.madeUpNames.has(name)) {
+            let k = 1;
+            while (this.usedNames.has(`${name}_${k}`)) k++;
+            declared = `${name}_${k}`;
+            this.madeUpNames.add(declared);
+        }
+        this.usedNames.add(declared);
+        this.scopes.at(-1).set(name, declared);
+        return declared;
+    }
+
+    // TAC name of the variable a name refers to where it is used; null if none is in scope
+    variableName(name) {
+        return this.scopes.findLast(scope => scope.has(name))?.get(name) ?? null;
+    }
+
+    // Generate code for an expression whose value is thrown away (statements, for-loop increments)
+    visitForEffect(node) {
+        // x++ on its own is just an increment; no copy of the old value is needed
+        if (node instanceof UnaryOpNode && node.postfix) {
+            return this.visit(new UnaryOpNode(node.op, node.arg));
+        }
+        return this.visit(node);
     }
 
     visitVariableDeclarationNode(node) {
-        if (node.value) {
+        const name = this.declare(node.varName.name);
+
+        if (node.value instanceof InitializerListNode) {
+            // Store each scalar at its byte offset; those without an initializer become 0
+            const type = node.dataType;
+            const stored = new Map();
+            flattenInitializer(node.value, type).entries.forEach(({ offset, value }) => {
+                stored.set(offset, this.visit(value));
+            });
+            scalarSlots(type).forEach(({ offset }) => {
+                this.emit('[]=', stored.get(offset) ?? constant(0), constant(offset), variable(name));
+            });
+        } else if (node.value) {
             const valueTemp = this.visit(node.value);
-            this.emit('=', valueTemp, null, node.varName.name);
+            this.emit('=', valueTemp, null, variable(name));
         }
     }
 
     visitAssignmentNode(node) {
-        const rightTemp = this.visit(node.right);
-        this.emit('=', rightTemp, null, node.left.name);
-        return node.left.name;
+        let rightTemp = this.visit(node.right);
+        const target = this.visitLValue(node.left);
+
+        if (node.op === '=') {
+            this.store(target, rightTemp);
+            return this.isMemory(target) ? rightTemp : target;
+        }
+
+        // Compound assignment: x op= y  =>  x = x op y (p += n moves n elements, not n bytes)
+        const op = node.op.slice(0, -1);
+        if (node.left.dataType instanceof PointerType && (op === '+' || op === '-')) {
+            rightTemp = this.scale(rightTemp, node.left.dataType);
+        }
+
+        // i += 0.5 computes in double: i goes in converted and the sum comes out converted back
+        const computation = computedIn(binaryOperationType(op, node.left.dataType, node.right.dataType));
+        const commonType = node.operationType;
+        if (commonType && needsConversion(node.left.dataType, commonType)) {
+            const current = this.convert(this.load(target), commonType);
+            const resultTemp = this.newTemp();
+            this.emit(op, current, rightTemp, resultTemp, computation);
+            const converted = this.convert(resultTemp, node.left.dataType);
+            this.store(target, converted);
+            return converted;
+        }
+        return this.update(target, op, rightTemp, computation);
+    }
+
+    // Implicit conversion made explicit by the semantic analyzer: t1 = (float) x
+    visitConversionNode(node) {
+        return this.convert(this.visit(node.operand), node.dataType);
+    }
+
+    // Emit the conversion of a value to an arithmetic type; returns the temp holding the result
+    convert(value, type) {
+        const resultTemp = this.newTemp();
+        this.emit('cast', value, null, resultTemp, { type: type.unqualified().name });
+        return resultTemp;
+    }
+
+    // Location an assignment can store to: a variable, an element or member like a[t1] or s[4], or *p
+    visitLValue(node) {
+        if (node instanceof ArrayAccessNode || node instanceof MemberAccessNode) return this.memoryLocation(node);
+        if (node instanceof UnaryOpNode && node.op === '*') return { kind: 'deref', address: this.visit(node.arg) };
+        return this.visit(node);
+    }
+
+    // Whether a location is in memory (a[t1], *p) rather than a plain variable
+    isMemory(location) {
+        return location.kind === 'indexed' || location.kind === 'deref';
+    }
+
+    // Value stored at a location; memory locations are loaded into a temp first
+    load(location) {
+        if (!this.isMemory(location)) return location;
+        const valueTemp = this.newTemp();
+        if (location.kind === 'indexed') this.emit('=[]', location.base, location.offset, valueTemp);
+        else this.emit('=*', location.address, null, valueTemp);
+        return valueTemp;
+    }
+
+    store(location, value) {
+        if (location.kind === 'indexed') this.emit('[]=', value, location.offset, location.base);
+        else if (location.kind === 'deref') this.emit('*=', value, null, location.address);
+        else this.emit('=', value, null, location);
+    }
+
+    // target = target op operand, going through a temp when the target is in memory
+    update(target, op, operand, details = {}) {
+        if (!this.isMemory(target)) {
+            this.emit(op, target, operand, target, details);
+            return target;
+        }
+        const current = this.load(target);
+        const resultTemp = this.newTemp();
+        this.emit(op, current, operand, resultTemp, details);
+        this.store(target, resultTemp);
+        return resultTemp;
+    }
+
+    // Emit the byte offset of a chain of a[i] and s.f selectors and find what it is relative to.
+    // Selectors inside one object only add to the offset: i * stride(a[i]) + j * stride(a[i][j]) + offset of f ...;
+    // indexing through a pointer or following p->f starts again from the pointer's value.
+    // `named` is set when the base is a variable (a, s) rather than an address held in a temp.
+    memoryAddress(node) {
+        const selectors = [];
+        let base = node;
+        let throughPointer = false;
+        while (!throughPointer && (base instanceof ArrayAccessNode || base instanceof MemberAccessNode)) {
+            selectors.unshift(base);
+            if (base instanceof ArrayAccessNode) {
+                throughPointer = !(base.array.dataType instanceof ArrayType);
+                base = base.array;
+            } else {
+                throughPointer = base.op === '->';
+                base = base.object;
+            }
+        }
+
+        const named = !throughPointer && base instanceof IdentifierNode;
+        let start;
+        if (named) start = variable(this.variableName(base.name));
+        else if (throughPointer) start = this.visit(base);
+        else start = this.addressOf(base);
+
+        let offset = null;
+        selectors.forEach(selector => {
+            if (selector instanceof MemberAccessNode) {
+                offset = this.addOffset(offset, constant(this.memberOffset(selector)));
+                return;
+            }
+            const scaled = this.newTemp();
+            this.emit('*', this.visit(selector.index), constant(selector.dataType.size()), scaled);
+            offset = this.addOffset(offset, scaled);
+        });
+
+        return { base: start, offset, named };
+    }
+
+    // Byte offset of the member selected by s.f or p->f within its struct
+    memberOffset(node) {
+        const objectType = node.object.dataType;
+        const structType = node.op === '->' ? decay(objectType).targetType : objectType;
+        return structType.field(node.member.name).offset;
+    }
+
+    // offset + term; constant parts (member offsets) are folded rather than emitted
+    addOffset(offset, term) {
+        const isConstant = operand => operand.kind === 'constant';
+        const isZero = operand => isConstant(operand) && Number(operand.value) === 0;
+        if (offset === null || isZero(offset)) return term;
+        if (isZero(term)) return offset;
+        if (isConstant(offset) && isConstant(term)) return constant(Number(offset.value) + Number(term.value));
+
+        const sum = this.newTemp();
+        this.emit('+', offset, term, sum);
+        return sum;
+    }
+
+    // Location of an element or member: a[t1] or s[4] inside a variable, *t2 when reached through a pointer
+    memoryLocation(node) {
+        const { base, offset, named } = this.memoryAddress(node);
+        if (named) return { kind: 'indexed', base, offset };
+        return { kind: 'deref', address: this.offsetAddress(base, offset) };
+    }
+
+    // Address of an lvalue: &x, &a[i], &s.f, &p->f, and &*p (which is just p)
+    addressOf(node) {
+        if (node instanceof UnaryOpNode && node.op === '*') return this.visit(node.arg);
+
+        if (node instanceof ArrayAccessNode || node instanceof MemberAccessNode) {
+            const { base, offset, named } = this.memoryAddress(node);
+            return this.offsetAddress(named ? this.addressOfVariable(base.value) : base, offset);
+        }
+
+        return this.addressOfVariable(this.variableName(node.name));
+    }
+
+    offsetAddress(address, offset) {
+        if (offset.kind === 'constant' && Number(offset.value) === 0) return address;
+        const result = this.newTemp();
+        this.emit('+', address, offset, result);
+        return result;
+    }
+
+    addressOfVariable(name) {
+        const address = this.newTemp();
+        this.emit('addr', variable(name), null, address);
+        return address;
+    }
+
+    // Multiply an integer by the size of the type a pointer points to
+    scale(temp, pointerType) {
+        const scaled = this.newTemp();
+        this.emit('*', temp, constant(pointerType.targetType.size()), scaled);
+        return scaled;
+    }
+
+    visitArrayAccessNode(node) {
+        return this.visitSelector(node);
+    }
+
+    visitMemberAccessNode(node) {
+        return this.visitSelector(node);
+    }
+
+    // Value of a[i] or s.f; an array (a row of a matrix, an array member) is used by address
+    visitSelector(node) {
+        if (node.dataType instanceof ArrayType) return this.addressOf(node);
+        return this.load(this.memoryLocation(node));
     }
 
     visitBinaryOpNode(node) {
+        if (node.op === '&&' || node.op === '||') return this.materialize(node);
         const leftTemp = this.visit(node.left);
+
+        // Comma operator: the left value is only evaluated for its side effects
+        if (node.op === ',') return this.visit(node.right);
+
         const rightTemp = this.visit(node.right);
+        const leftType = decay(node.left.dataType);
+        const rightType = decay(node.right.dataType);
+        if (['+', '-'].includes(node.op) && (leftType instanceof PointerType || rightType instanceof PointerType)) {
+            return this.pointerArithmetic(node.op, leftTemp, leftType, rightTemp, rightType);
+        }
+
         const resultTemp = this.newTemp();
-        this.emit(node.op, leftTemp, rightTemp, resultTemp);
+        this.emit(node.op, leftTemp, rightTemp, resultTemp, computedIn(binaryOperationType(node.op, leftType, rightType)));
+        return resultTemp;
+    }
+
+    // p + n and p - n move by n elements; p - q counts the elements between two pointers
+    pointerArithmetic(op, leftTemp, leftType, rightTemp, rightType) {
+        if (leftType instanceof PointerType && rightType instanceof PointerType) {
+            const differenceTemp = this.newTemp();
+            this.emit(op, leftTemp, rightTemp, differenceTemp);
+            const countTemp = this.newTemp();
+            this.emit('/', differenceTemp, constant(leftType.targetType.size()), countTemp);
+            return countTemp;
+        }
+
+        if (leftType instanceof PointerType) {
+            rightTemp = this.scale(rightTemp, leftType);
+        } else {
+            leftTemp = this.scale(leftTemp, rightType);
+        }
+        const resultTemp = this.newTemp();
+        this.emit(op, leftTemp, rightTemp, resultTemp);
         return resultTemp;
     }
 
     visitUnaryOpNode(node) {
-        const argTemp = this.visit(node.arg);
-        if (node.op === '++') {
-            this.emit('+=', argTemp, 1, argTemp);
-        } else if (node.op === '--') {
-            this.emit('-=', argTemp, 1, argTemp);
+        if (node.op === '++' || node.op === '--') {
+            const target = this.visitLValue(node.arg);
+            const step = node.op === '++' ? '+' : '-';
+            // Pointers step over a whole element
+            const amount = constant(node.arg.dataType instanceof PointerType ? node.arg.dataType.targetType.size() : 1);
+            const computation = computedIn(promote(node.arg.dataType));
+
+            if (!node.postfix) return this.update(target, step, amount, computation);
+
+            // Postfix: the expression's value is the old one
+            if (this.isMemory(target)) {
+                const oldValue = this.load(target);
+                const resultTemp = this.newTemp();
+                this.emit(step, oldValue, amount, resultTemp, computation);
+                this.store(target, resultTemp);
+                return oldValue;
+            }
+            const oldValue = this.newTemp();
+            this.emit('=', target, null, oldValue);
+            this.emit(step, target, amount, target, computation);
+            return oldValue;
+        }
+
+        if (node.op === '&') return this.addressOf(node.arg);
+
+        // *p of a pointer to an array is the array itself, which is used by address
+        if (node.op === '*') {
+            const pointer = this.visit(node.arg);
+            return node.dataType instanceof ArrayType ? pointer : this.load({ kind: 'deref', address: pointer });
         }
-        return argTemp;
+
+        const argTemp = this.visit(node.arg);
+        if (node.op === '+') return argTemp;
+
+        const resultTemp = this.newTemp();
+        this.emit(node.op, argTemp, null, resultTemp, node.op === '!' ? {} : computedIn(promote(node.arg.dataType)));
+        return resultTemp;
+    }
+
+    visitTernaryOpNode(node) {
+        const condition = this.jumping(node.condition);
+        const resultTemp = this.newTemp();
+
+        this.continueWith(condition, 'trueList');
+        this.emit('=', this.visit(node.whenTrue), null, resultTemp);
+        const endJump = this.emit('goto');
+
+        this.placeLabel(condition.falseList);
+        this.emit('=', this.visit(node.whenFalse), null, resultTemp);
+        this.placeLabel([endJump]);
+
+        return resultTemp;
     }
 
+    // Literals keep their spelling (10u, 1.5f, 'a', "text")
     visitNumberNode(node) {
-        return node.value.toString();
+        return constant(node.value.toString());
     }
 
     visitIdentifierNode(node) {
-        return node.name;
+        // An array used as a value decays to the address of its first element
+        if (node.dataType instanceof ArrayType) return this.addressOfVariable(this.variableName(node.name));
+        return variable(this.variableName(node.name));
     }
 
     visitStringLiteralNode(node) {
-        return node.value;
+        return constant(node.value);
     }
 
     visitFunctionCallNode(node) {
@@ -114,51 +585,175 @@ export class TACGenerator {
 
         // Emit function call
         const resultTemp = this.newTemp();
-        this.emit('call', node.name.name, argTemps.length.toString(), resultTemp);
+        this.emit('call', label(node.name.name), constant(argTemps.length), resultTemp);
         return resultTemp;
     }
 
     visitIfStatementNode(node) {
-        const conditionTemp = this.visit(node.condition);
-        const elseLabel = this.newLabel();
-        const endLabel = this.newLabel();
-
-        this.emit('ifFalse', conditionTemp, `goto ${elseLabel}`);
-        this.visit(node.ifBody);
-        this.emit('goto', endLabel);
-
-        this.emit(elseLabel);
-        if (node.elseBody) {
-            this.visit(node.elseBody);
+        const condition = this.jumping(node.condition);
+        this.continueWith(condition, 'trueList');
+        this.visitSubstatement(node.ifBody);
+        if (!node.elseBody) {
+            this.placeLabel(condition.falseList);
+            return;
         }
-        this.emit(endLabel);
+
+        const endJump = this.emit('goto');
+        this.placeLabel(condition.falseList);
+        this.visitSubstatement(node.elseBody);
+        this.placeLabel([endJump]);
     }
 
     visitForLoopNode(node) {
         const startLabel = this.newLabel();
-        const endLabel = this.newLabel();
 
-        // Initialize
-        this.visit(node.init);
+        // Initialize; a variable declared here belongs to the loop alone
+        this.scopes.push(new Map());
+        this.visitForEffect(node.init);
 
         // Loop start
-        this.emit(startLabel);
+        this.emitLabel(startLabel);
 
-        // Condition check
-        const conditionTemp = this.visit(node.condition);
-        this.emit('ifFalse', conditionTemp, `goto ${endLabel}`);
+        // Condition check; for (;;) has none, so only a break leaves it
+        const condition = node.condition ? this.jumping(node.condition) : { trueList: [], falseList: [] };
+        this.continueWith(condition, 'trueList');
 
-        // Loop body
-        this.visit(node.body);
+        // Loop body; 'continue' jumps to the increment, which only gets a label if needed
+        const loop = this.visitLoopBody(node.body, null, null);
+        if (loop.continueLabel) this.emitLabel(loop.continueLabel);
 
         // Increment
-        this.visit(node.increment);
+        this.visitForEffect(node.increment);
 
         // Jump back to condition
-        this.emit('goto', startLabel);
+        this.emit('goto', null, null, startLabel);
+        this.scopes.pop();
+
+        // Where a failed condition and any break land
+        this.placeLabel(condition.falseList, loop.breakLabel);
+    }
+
+    visitWhileLoopNode(node) {
+        const startLabel = this.newLabel();
+
+        this.emitLabel(startLabel);
+        const condition = this.jumping(node.condition);
+        this.continueWith(condition, 'trueList');
+
+        const loop = this.visitLoopBody(node.body, null, startLabel);
+
+        this.emit('goto', null, null, startLabel);
+        this.placeLabel(condition.falseList, loop.breakLabel);
+    }
+
+    visitDoWhileLoopNode(node) {
+        const startLabel = this.newLabel();
+
+        this.emitLabel(startLabel);
+        const loop = this.visitLoopBody(node.body, null, null);
+
+        // The condition is where 'continue' lands; jump back while it holds
+        if (loop.continueLabel) this.emitLabel(loop.continueLabel);
+        const condition = this.jumping(node.condition);
+        this.backpatch(condition.trueList, startLabel);
+        this.continueWith(condition, 'falseList', loop.breakLabel);
+    }
+
+    // Generate a loop body with its break/continue targets on the loop stack.
+    // Targets passed as null are created on first use by a break/continue.
+    visitLoopBody(body, breakLabel, continueLabel) {
+        const loop = { breakLabel, continueLabel };
+        this.loopStack.push(loop);
+        this.visitSubstatement(body);
+        this.loopStack.pop();
+        return loop;
+    }
+
+    visitSwitchStatementNode(node) {
+        const value = this.visit(node.discriminant);
+        const endLabel = this.newLabel();
+
+        // Case values are converted to the promoted type of the value switched on, and compared in it
+        const type = promote(node.discriminant.dataType);
+        const computation = computedIn(type);
+        const cases = [];
+        let defaultLabel = endLabel;
+        node.labels.forEach(label => {
+            const target = this.newLabel();
+            this.caseLabels.set(label, target);
+            if (label.value) cases.push({ value: wrapInteger(evaluateConstant(label.value), type.name), target });
+            else defaultLabel = target;
+        });
+
+        if (this.isDense(cases)) {
+            this.emitJumpTable(value, cases, defaultLabel, computation);
+        } else {
+            // Compare against each case in turn
+            cases.forEach(({ value: caseValue, target }) => {
+                const matchTemp = this.newTemp();
+                this.emit('==', value, constant(caseValue), matchTemp, computation);
+                this.emit('if', matchTemp, null, target);
+            });
+            this.emit('goto', null, null, defaultLabel);
+        }
+
+        // Case labels fall through into each other; only 'break' leaves the switch
+        this.loopStack.push({ breakLabel: endLabel, continueLabel: null, isSwitch: true });
+        this.visitSubstatement(node.body);
+        this.loopStack.pop();
+        this.emitLabel(endLabel);
+    }
+
+    isDense(cases) {
+        if (cases.length < JUMP_TABLE_MIN_CASES) return false;
+        const values = cases.map(c => c.value);
+        const range = Math.max(...values) - Math.min(...values) + 1;
+        return cases.length / range >= JUMP_TABLE_MIN_DENSITY;
+    }
+
+    // Bounds-check the value, then jump through a table with one label per value from min to max
+    // (values without a case go to the default)
+    emitJumpTable(value, cases, defaultLabel, computation) {
+        const min = Math.min(...cases.map(c => c.value));
+        const max = Math.max(...cases.map(c => c.value));
+
+        const belowTemp = this.newTemp();
+        this.emit('<', value, constant(min), belowTemp, computation);
+        this.emit('if', belowTemp, null, defaultLabel);
+        const aboveTemp = this.newTemp();
+        this.emit('>', value, constant(max), aboveTemp, computation);
+        this.emit('if', aboveTemp, null, defaultLabel);
+
+        let index = value;
+        if (min !== 0) {
+            index = this.newTemp();
+            this.emit('-', value, constant(min), index, computation);
+        }
+
+        const table = label(`table${this.tableCounter++}`);
+        const targets = [];
+        for (let v = min; v <= max; v++) {
+            targets.push(cases.find(c => c.value === v)?.target ?? defaultLabel);
+        }
+        this.emit('goto[]', index, null, table);
+        this.emit('table', null, null, table, { targets });
+    }
+
+    visitCaseLabelNode(node) {
+        this.emitLabel(this.caseLabels.get(node));
+    }
+
+    visitBreakStatementNode(node) {
+        const loop = this.loopStack[this.loopStack.length - 1];
+        if (!loop.breakLabel) loop.breakLabel = this.newLabel();
+        this.emit('goto', null, null, loop.breakLabel);
+    }
 
-        // End label
-        this.emit(endLabel);
+    visitContinueStatementNode(node) {
+        // 'continue' skips over enclosing switches to the innermost loop
+        const loop = this.loopStack.findLast(entry => !entry.isSwitch);
+        if (!loop.continueLabel) loop.continueLabel = this.newLabel();
+        this.emit('goto', null, null, loop.continueLabel);
     }
 
     visitReturnStatementNode(node) {
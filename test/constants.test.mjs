@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from './helpers.mjs';
+
+test('constant division is decided by the types of the operands, not their values', () => {
+    const { program } = compile(`
+        double g = 1.0 / 2.0;
+        double h = 3 / 2;
+        double k = 3 / 2.0;
+        int a[8 / 3];
+        int main() { return 0; }`);
+    assert.deepEqual(program.globals.map(String), ['g = 0.5', 'h = 1', 'k = 1.5', 'a[8] = {0}']);
+});
+
+test('a floating constant is not an array size or a case label, even when whole', () => {
+    assert.throws(() => compile('int a[4.0 / 2.0]; int main() { return 0; }'), /Array size must be an integer constant/);
+    assert.throws(() => compile('int main() { switch (1) { case 2.0 / 1.0: return 1; } return 0; }'),
+        /Case label does not reduce to an integer constant/);
+});
+
+test('unsigned constant expressions wrap around', () => {
+    const { program } = compile(`
+        unsigned a = 4294967295u >> 28;
+        int b = -1 < 1u;
+        unsigned c = 0u - 1;
+        int main() { return 0; }`);
+    assert.deepEqual(program.globals.map(String), ['a = 15', 'b = 0', 'c = 4294967295']);
+});
@@ -0,0 +1,193 @@
+// helpers.mjs
+// Shared by the tests: compiles C source down to three-address code, and runs that code on a small
+// interpreter, so that a test can check what a program does and not only what its code looks like.
+
+import { Preprocessor } from '../preprocessor.js';
+import { Lexer } from '../lexer.js';
+import { Parser } from '../parser.js';
+import { SemanticAnalyzer } from '../semantic.js';
+import { TACGenerator } from '../tac.js';
+import { literalValue, literalTypeName } from '../constants.js';
+
+// The TAC of a program that must compile cleanly, with the parameter names of each function (the
+// code itself does not list them) and the warnings
+export function compile(source) {
+    const { code, origins, errors } = new Preprocessor().preprocess(source);
+    const lexer = new Lexer(code, origins);
+    const tokens = lexer.tokenize();
+    const { ast, errors: syntaxErrors } = new Parser([...tokens]).parse();
+    const { errors: semanticErrors, warnings } = new SemanticAnalyzer().analyze(ast);
+    const all = [...errors, ...lexer.errors, ...syntaxErrors, ...semanticErrors];
+    if (all.length > 0) throw new Error(all.map(error => error.message).join('\n'));
+    const program = new TACGenerator().generate(ast);
+    const parameters = new Map(ast.children.filter(node => node.params && node.body)
+        .map(node => [node.name.name, node.params.filter(param => param.paramName).map(param => param.paramName.name)]));
+    return { program, parameters, warnings };
+}
+
+// Values are { value, floating }, or { pointer: cell, offset } for addresses. Every variable is a
+// cell: a map from byte offsets to values, a scalar sitting at offset 0.
+const int = value => ({ value, floating: false });
+const real = value => ({ value, floating: true });
+const truth = test => int(test ? 1 : 0);
+const isFloatingType = name => /float|double/.test(name);
+
+// An integer brought into the range of the integer type named: as wide as the type and wrapping
+// around when unsigned. Arithmetic that names no type works on addresses, 64 bits wide.
+function wrap(value, name = 'long') {
+    const bits = /char/.test(name) ? 8 : /short/.test(name) ? 16 : /long/.test(name) ? 64 : 32;
+    const integer = typeof value === 'bigint' ? value : BigInt(Math.trunc(value));
+    return Number(name.startsWith('unsigned') ? BigInt.asUintN(bits, integer) : BigInt.asIntN(bits, integer));
+}
+
+function constantValue(value) {
+    if (typeof value === 'number') return int(value);
+    if (value.startsWith('"')) return { string: JSON.parse(value) };
+    const type = literalTypeName(value);
+    return isFloatingType(type) ? real(literalValue(value)) : int(literalValue(value));
+}
+
+function binary(op, a, b, type) {
+    if (a.pointer !== undefined && (op === '+' || op === '-') && b.pointer === undefined) {
+        return { pointer: a.pointer, offset: op === '+' ? a.offset + b.value : a.offset - b.value };
+    }
+    if (b.pointer !== undefined && op === '+') return { pointer: b.pointer, offset: b.offset + a.value };
+    if (a.pointer !== undefined || b.pointer !== undefined) {
+        const same = a.pointer === b.pointer && a.offset === b.offset;
+        if (op === '==') return truth(same);
+        if (op === '!=') return truth(!same);
+        if (op === '-') return int(a.offset - b.offset);
+        throw new Error(`Cannot apply ${op} to an address`);
+    }
+    const floating = type ? isFloatingType(type) : a.floating || b.floating;
+    const x = floating ? a.value : wrap(a.value, type);
+    const y = floating ? b.value : wrap(b.value, type);
+    switch (op) {
+        case '==': return truth(x === y);
+        case '!=': return truth(x !== y);
+        case '<': return truth(x < y);
+        case '<=': return truth(x <= y);
+        case '>': return truth(x > y);
+        case '>=': return truth(x >= y);
+    }
+    if (floating) {
+        switch (op) {
+            case '+': return real(x + y);
+            case '-': return real(x - y);
+            case '*': return real(x * y);
+            case '/': return real(x / y);
+        }
+    }
+    const [p, q] = [BigInt(x), BigInt(y)];
+    const result = {
+        '+': () => p + q, '-': () => p - q, '*': () => p * q, '/': () => p / q, '%': () => p % q,
+        '&': () => p & q, '|': () => p | q, '^': () => p ^ q, '<<': () => p << q, '>>': () => p >> q
+    }[op];
+    if (!result) throw new Error(`Unknown operator ${op}`);
+    return int(wrap(result(), type));
+}
+
+function unary(op, a, type) {
+    const floating = type ? isFloatingType(type) : a.floating;
+    switch (op) {
+        case '-': return floating ? real(-a.value) : int(wrap(-a.value, type));
+        case '!': return truth(a.pointer === undefined && a.value === 0);
+        case '~': return int(wrap(-a.value - 1, type));
+    }
+    throw new Error(`Unknown operator ${op}`);
+}
+
+// printf, enough of it for the tests: %d, %i, %u, %c, %s, %f, %g and %%
+function format(text, args) {
+    let next = 0;
+    return text.replace(/%(\.\d+)?([diucsfg%])/g, (_, precision, conversion) => {
+        if (conversion === '%') return '%';
+        const arg = args[next++];
+        switch (conversion) {
+            case 'f': return arg.value.toFixed(precision ? Number(precision.slice(1)) : 6);
+            case 'g': return String(arg.value);
+            case 'c': return String.fromCharCode(arg.value);
+            case 's': return arg.string;
+            default: return String(arg.value);
+        }
+    });
+}
+
+// Runs main and returns what it printed and returned. Gives up after `limit` instructions.
+export function run(program, parameters, limit = 100000) {
+    const functions = new Map(program.functions.map(func => [func.name, func]));
+    const globals = new Map(program.globals.map(global => [global.name,
+        new Map(global.values.map((value, i) => [i * 4, constantValue(String(value))]))]));
+    let output = '';
+    let steps = 0;
+
+    const call = (name, args) => {
+        if (name === 'printf') {
+            output += format(args[0].string, args.slice(1));
+            return int(0);
+        }
+        const func = functions.get(name);
+        if (!func) throw new Error(`Unknown function ${name}`);
+        const cells = new Map((parameters.get(name) ?? []).map((param, i) => [param, new Map([[0, args[i]]])]));
+        const cell = name => cells.get(name) ?? globals.get(name) ?? cells.set(name, new Map()).get(name);
+        const read = operand => {
+            if (operand.kind === 'constant') return constantValue(operand.value);
+            return cell(operand.value).get(0) ?? int(0);
+        };
+        const write = (operand, value) => cell(operand.value).set(0, value);
+        const labels = new Map();
+        const tables = new Map();
+        func.code.forEach((instruction, i) => {
+            if (instruction.op === 'label') labels.set(instruction.result.value, i);
+            if (instruction.op === 'table') tables.set(instruction.result.value, instruction.targets);
+        });
+        const pending = [];
+
+        for (let pc = 0; pc < func.code.length; pc++) {
+            if (++steps > limit) throw new Error('Too many steps');
+            const { op, arg1, arg2, result } = func.code[pc];
+            switch (op) {
+                case '=': write(result, read(arg1)); break;
+                case 'cast': {
+                    const value = read(arg1).value;
+                    const { type } = func.code[pc];
+                    write(result, isFloatingType(type) ? real(value) : int(wrap(value, type)));
+                    break;
+                }
+                case 'addr': write(result, { pointer: cell(arg1.value), offset: 0 }); break;
+                case '=[]': write(result, cell(arg1.value).get(read(arg2).value) ?? int(0)); break;
+                case '[]=': cell(result.value).set(read(arg2).value, read(arg1)); break;
+                case '=*': {
+                    const address = read(arg1);
+                    write(result, address.pointer.get(address.offset) ?? int(0));
+                    break;
+                }
+                case '*=': {
+                    const address = read(result);
+                    address.pointer.set(address.offset, read(arg1));
+                    break;
+                }
+                case 'param': pending.push(read(arg1)); break;
+                case 'call': {
+                    const value = call(arg1.value, pending.splice(pending.length - arg2.value));
+                    if (result) write(result, value);
+                    break;
+                }
+                case 'return': return arg1 ? read(arg1) : int(0);
+                case 'label': case 'table': break;
+                case 'goto': pc = labels.get(result.value); break;
+                case 'if': if (!unary('!', read(arg1)).value) pc = labels.get(result.value); break;
+                case 'ifFalse': if (unary('!', read(arg1)).value) pc = labels.get(result.value); break;
+                case 'goto[]': pc = labels.get(String(tables.get(result.value)[read(arg1).value])); break;
+                default: {
+                    const { type } = func.code[pc];
+                    write(result, arg2 === null ? unary(op, read(arg1), type) : binary(op, read(arg1), read(arg2), type));
+                }
+            }
+        }
+        return int(0);
+    };
+
+    const value = call('main', []);
+    return { output, value: value.value };
+}
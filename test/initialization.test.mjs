@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from './helpers.mjs';
+
+const uninitialized = source => compile(source).warnings
+    .filter(warning => warning.code === 'uninitialized').map(warning => warning.message);
+
+test('a continue reaches the increment of a for loop', () => {
+    const warnings = uninitialized(`
+        int main() {
+            int x;
+            for (int i = 0; i < 3; i = i + x) {
+                if (i) continue;
+                x = 1;
+            }
+            return 0;
+        }`);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /'x'/);
+});
+
+test('a body that always continues still reaches the increment', () => {
+    const warnings = uninitialized(`
+        int main() {
+            int x;
+            for (int i = 0; i < 3; i = i + x) continue;
+            return 0;
+        }`);
+    assert.equal(warnings.length, 1);
+});
+
+test('a variable assigned on every way round the loop is not reported', () => {
+    const warnings = uninitialized(`
+        int main() {
+            int x;
+            for (int i = 0; i < 3; i = i + x) {
+                if (i) { x = 2; continue; }
+                x = 1;
+            }
+            return 0;
+        }`);
+    assert.deepEqual(warnings, []);
+});
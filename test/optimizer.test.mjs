@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimize, OPTIMIZATION_PASSES } from '../optimizer.js';
+import { printText } from '../irPrinters.js';
+import { compile, run } from './helpers.mjs';
+
+const ALL_PASSES = Object.keys(OPTIMIZATION_PASSES);
+
+test('constants propagate into a bitwise and', () => {
+    const { program, parameters } = compile(`
+        int main() {
+            int a = 12;
+            int b = a & 10;
+            return b;
+        }`);
+    const optimized = optimize(program, ALL_PASSES).program;
+    assert.ok(printText(optimized).includes('return 8'));
+    assert.equal(run(optimized, parameters).value, 8);
+});
+
+test('folded doubles stay doubles through later folds', () => {
+    const { program, parameters } = compile(`
+        int main() {
+            double x = 1.0 / 2.0;
+            double y = 3.0 / 2.0;
+            double z = x + y;
+            double q = y + y;
+            double r = z / q;
+            printf("%f %f %f\\n", z, q, r);
+            return 0;
+        }`);
+    const before = run(program, parameters).output;
+    assert.equal(before, '2.000000 3.000000 0.666667\n');
+    ALL_PASSES.forEach(pass => {
+        assert.equal(run(optimize(program, [pass]).program, parameters).output, before, pass);
+    });
+    const optimized = optimize(program, ALL_PASSES).program;
+    assert.equal(run(optimized, parameters).output, before);
+    assert.ok(printText(optimized).includes('param 0.6666666666666666'));
+});
+
+test('unsigned arithmetic folds as C computes it', () => {
+    const cases = [
+        ['unsigned u = 4294967295u; return u >> 28;', 15],
+        ['int i = -1; unsigned u = 1; if (i < u) return 1; return 2;', 2],
+        ['unsigned u = 4294967295u; u = u + 2; return u;', 1],
+        ['unsigned u = 65536; u = u * 65536; return u == 0;', 1],
+        ['unsigned u = 0; u--; return u > 100;', 1],
+        ['int i = -7; return i / 2 + i % 2;', -4]
+    ];
+    cases.forEach(([body, expected]) => {
+        const { program, parameters } = compile(`int main() { ${body} }`);
+        assert.equal(run(program, parameters).value, expected, body);
+        const optimized = optimize(program, ALL_PASSES).program;
+        assert.ok(printText(optimized).includes(`return ${expected}`), body);
+        assert.equal(run(optimized, parameters).value, expected, body);
+    });
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Preprocessor } from '../preprocessor.js';
+import { compile, run } from './helpers.mjs';
+
+test('a function-like macro finds its ( on a following line', () => {
+    const { code, origins, errors } = new Preprocessor().preprocess('#define SQ(x) ((x) * (x))\nint a = SQ\n\n(3);\nint b = 1;');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(code.split('\n').map(line => line.trim()), ['int a = ((3) * (3));', '', '', 'int b = 1;']);
+    assert.deepEqual(origins.map(origin => origin.line), [2, 3, 4, 5]);
+
+    const { program, parameters } = compile(`
+        #define SQ(x) ((x) * (x))
+        int main() {
+            int SQ = 2;
+            return SQ
+                (3) + SQ;
+        }`);
+    assert.equal(run(program, parameters).value, 11);
+});
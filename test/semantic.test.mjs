@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compile, run } from './helpers.mjs';
+
+test('a function name used as a value is an error', () => {
+    assert.throws(() => compile('int main() { int x = main + 1; return x; }'), /Function 'main' used as a value/);
+    assert.throws(() => compile('int main() { int *p = main; return 0; }'), /Function 'main' used as a value/);
+    assert.throws(() => compile('int f(void); int main() { f = 1; return 0; }'), { message: `Semantic Error: Cannot assign to function 'f'.` });
+});
+
+test('a variable that is only written is unused', () => {
+    const unused = source => compile(source).warnings
+        .filter(warning => warning.code === 'unused-variable').map(warning => warning.message.match(/'(\w+)'/)[1]);
+    assert.deepEqual(unused('int main() { int x; x = 5; int y = 0; y++; int z = 1; z += 2; return 0; }'),
+        ['x', 'y', 'z']);
+    assert.deepEqual(unused('int main() { int x; x = 5; int y = 0; y++; return x + y; }'), []);
+});
+
+test('a typedef can define the struct it names, with or without a tag', () => {
+    const { program, parameters } = compile(`
+        typedef struct { int x; int y; } Point;
+        typedef struct Node { int value; struct Node *next; } Node;
+        int main() {
+            Point p;
+            Node a;
+            Node b;
+            p.x = 3;
+            p.y = 4;
+            a.value = p.x;
+            a.next = &b;
+            b.value = p.y;
+            return a.value * 10 + a.next->value;
+        }`);
+    assert.equal(run(program, parameters).value, 34);
+    assert.throws(() => compile(`
+        typedef struct { int x; } A;
+        typedef struct { int x; } B;
+        int main() { A a; B b; a.x = 1; b = a; return 0; }`), /Incompatible types/);
+});
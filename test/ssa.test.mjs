@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProgramSSA, leaveProgramSSA } from '../ssa.js';
+import { printText } from '../irPrinters.js';
+import { compile, run } from './helpers.mjs';
+
+test('bitwise and is not taken for address-of', () => {
+    const { program } = compile(`
+        int main() {
+            int a = 12;
+            int k = 3;
+            int *p = &k;
+            int b = a & 10;
+            b = b & 7;
+            return b + *p;
+        }`);
+    const lines = printText(program);
+    assert.ok(lines.includes('t0 = &k'));
+    assert.ok(lines.includes('t1 = a & 10'));
+
+    // a and b hold values, so SSA renames them; k has its address taken, so it keeps its name
+    const ssa = printText(buildProgramSSA(program));
+    assert.ok(ssa.includes('a1 = 12'));
+    assert.ok(ssa.includes('t1 = a1 & 10'));
+    assert.ok(ssa.includes('b1 = t1'));
+    assert.ok(ssa.includes('t2 = b1 & 7'));
+    assert.ok(ssa.includes('k = 3'));
+});
+
+test('versions do not take the names of other values', () => {
+    const { program, parameters } = compile(`
+        int f(int x1) {
+            int x = 0;
+            x = x + x1;
+            x = x * 2;
+            return x;
+        }
+        int main() {
+            int t = 1;
+            int u = 2;
+            for (int i = 0; i < 3; i++) { int s = t; t = u; u = s; }
+            printf("%d %d %d\\n", f(5), t, u);
+            return 0;
+        }`);
+    const ssa = buildProgramSSA(program);
+    const lines = printText(ssa);
+    assert.ok(!lines.includes('x1 = 0'));
+    assert.ok(lines.includes('t0 = x2 + x1'));
+
+    assert.ok(lines.includes('t_1 = 1'));
+    assert.ok(lines.includes('s1 = t_2'));
+
+    const expected = run(program, parameters).output;
+    assert.equal(expected, '10 2 1\n');
+    assert.equal(run(leaveProgramSSA(ssa), parameters).output, expected);
+});
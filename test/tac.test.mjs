@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { printText } from '../irPrinters.js';
+import { compile, run } from './helpers.mjs';
+
+test('a declaration that shadows an outer variable gets a name of its own', () => {
+    const { program, parameters } = compile(`
+        int main() {
+            int z = 1;
+            { int z = 2; z++; }
+            return z;
+        }`);
+    const lines = printText(program);
+    assert.ok(lines.includes('z_1 = 2'));
+    assert.ok(lines.includes('z_1 = z_1 + 1'));
+    assert.equal(run(program, parameters).value, 1);
+});
+
+test('shadowing names do not clash with the names of the source', () => {
+    const { program, parameters } = compile(`
+        int f(int n) {
+            int r = n;
+            { int n = 10; r = r + n; }
+            int n_1 = 100;
+            return r + n_1;
+        }
+        int main() {
+            printf("%d\\n", f(1));
+            return 0;
+        }`);
+    const lines = printText(program);
+    assert.ok(lines.includes('n_1 = 10'));
+    assert.ok(lines.includes('n_1_1 = 100'));
+    assert.equal(run(program, parameters).output, '111\n');
+});
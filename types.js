@@ -0,0 +1,316 @@
+// types.js
+// This file contains the classes describing C types, with the sizes used for address arithmetic.
+
+import { InitializerListNode } from './astNodes.js';
+
+// Size in bytes of each built-in scalar type, by its canonical name ('unsigned' does not change the size)
+const PRIMITIVE_SIZES = {
+    void: 0, char: 1, 'signed char': 1, short: 2, int: 4, long: 8, 'long long': 8,
+    float: 4, double: 8, 'long double': 16
+};
+const POINTER_SIZE = 8;
+
+// Conversion rank of the integer types; an unsigned type ranks with its signed counterpart
+const INTEGER_RANKS = { char: 1, 'signed char': 1, short: 2, int: 3, long: 4, 'long long': 5 };
+
+// Keywords that combine into a scalar type specifier: unsigned long int, signed char, ...
+export const SPECIFIER_KEYWORDS = ['void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned'];
+
+// Base class for all types
+export class Type {
+    constructor() {
+        this.isConst = false;
+    }
+
+    size() { return 0; }
+    // Objects of the type start at a multiple of this many bytes
+    align() { return Math.max(this.size(), 1); }
+    isScalar() { return false; }
+
+    // The type without its const qualifier (see withConst)
+    unqualified() { return this.isConst ? Object.getPrototypeOf(this) : this; }
+}
+
+// Built-in scalar type such as int, unsigned char or double
+export class PrimitiveType extends Type {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    size() { return PRIMITIVE_SIZES[this.name.replace(/^unsigned /, '')] ?? 0; }
+    isScalar() { return this.name !== 'void'; }
+    isFloating() { return ['float', 'double', 'long double'].includes(this.name); }
+    isInteger() { return this.isScalar() && !this.isFloating(); }
+    isUnsigned() { return this.name.startsWith('unsigned '); }
+    equals(other) { return other instanceof PrimitiveType && other.name === this.name; }
+    toString() { return `${this.isConst ? 'const ' : ''}${this.name}`; }
+}
+
+// Array of `length` elements (length is null for `int a[]` parameters)
+export class ArrayType extends Type {
+    constructor(elementType, length) {
+        super();
+        this.elementType = elementType;
+        this.length = length;
+    }
+
+    size() { return (this.length ?? 0) * this.elementType.size(); }
+    align() { return this.elementType.align(); }
+
+    // Lengths of every dimension, outermost first: int[3][4] -> [3, 4]
+    dimensions() {
+        const dims = [];
+        let type = this;
+        while (type instanceof ArrayType) {
+            dims.push(type.length);
+            type = type.elementType;
+        }
+        return dims;
+    }
+
+    // Innermost non-array type: int for int[3][4]
+    baseType() {
+        let type = this;
+        while (type instanceof ArrayType) type = type.elementType;
+        return type;
+    }
+
+    equals(other) {
+        return other instanceof ArrayType && other.length === this.length && this.elementType.equals(other.elementType);
+    }
+
+    toString() {
+        return `${this.baseType()}${this.dimensions().map(n => `[${n ?? ''}]`).join('')}`;
+    }
+}
+
+// Pointer to another type
+export class PointerType extends Type {
+    constructor(targetType) {
+        super();
+        this.targetType = targetType;
+    }
+
+    size() { return POINTER_SIZE; }
+    isScalar() { return true; }
+
+    equals(other) {
+        return other instanceof PointerType && this.targetType.equals(other.targetType);
+    }
+
+    toString() {
+        // Pointer to an array is spelled int (*)[4]
+        if (this.targetType instanceof ArrayType) {
+            const dims = this.targetType.dimensions().map(n => `[${n ?? ''}]`).join('');
+            return `${this.targetType.baseType()} (*)${dims}`;
+        }
+        return `${this.targetType}*`;
+    }
+}
+
+// struct Name { ... }, the name null for an anonymous struct. Starts out incomplete (after `struct Name *p;` or while its own members
+// are being read) and gets its layout from complete().
+export class StructType extends Type {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.fields = null;    // [{ name, type, offset }] once complete
+        this.totalSize = 0;
+    }
+
+    isComplete() { return this.fields !== null; }
+
+    // Lay the members out in order, each at the next offset that suits its alignment,
+    // and pad the whole struct to a multiple of its strictest member
+    complete(members) {
+        let offset = 0;
+        this.fields = members.map(({ name, type }) => {
+            offset = alignTo(offset, type.align());
+            const field = { name, type, offset };
+            offset += type.size();
+            return field;
+        });
+        this.totalSize = alignTo(offset, this.align());
+    }
+
+    field(name) { return this.fields?.find(field => field.name === name) ?? null; }
+
+    size() { return this.totalSize; }
+    align() { return Math.max(1, ...(this.fields ?? []).map(field => field.type.align())); }
+
+    // Each definition is a distinct type, even if another one has the same name and members
+    equals(other) { return other instanceof StructType && other.unqualified() === this.unqualified(); }
+    toString() { return `${this.isConst ? 'const ' : ''}struct ${this.name ?? '<anonymous>'}`; }
+}
+
+// Round `offset` up to a multiple of `alignment`
+function alignTo(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+// Type named by a keyword such as 'int'
+export function primitiveType(name) {
+    return new PrimitiveType(name);
+}
+
+// Arithmetic types are the scalar primitives: integers and floating point, not void
+export function isArithmetic(type) {
+    return type instanceof PrimitiveType && type.isScalar();
+}
+
+// Integer promotion: values of types smaller than int take part in arithmetic as ints
+export function promote(type) {
+    if (isArithmetic(type) && type.isInteger() && type.size() < PRIMITIVE_SIZES.int) return primitiveType('int');
+    return type.unqualified();
+}
+
+// Usual arithmetic conversions: the type both operands of an arithmetic operator are brought to.
+// The widest floating type wins; otherwise the promoted integer of higher rank, unsigned if needed
+// to hold both.
+export function commonType(a, b) {
+    for (const name of ['long double', 'double', 'float']) {
+        if (a.name === name || b.name === name) return primitiveType(name);
+    }
+    const [x, y] = [promote(a), promote(b)];
+    if (x.equals(y)) return x;
+
+    const rank = type => INTEGER_RANKS[type.name.replace(/^unsigned /, '')];
+    const unsigned = type => primitiveType(type.isUnsigned() ? type.name : `unsigned ${type.name}`);
+    if (rank(x) === rank(y)) return unsigned(x);
+    const [high, low] = rank(x) > rank(y) ? [x, y] : [y, x];
+    if (high.isUnsigned() || !low.isUnsigned() || high.size() > low.size()) return high;
+    return unsigned(high);
+}
+
+// Type a binary arithmetic operator computes in: the promoted left operand for shifts, the common
+// type of both operands otherwise. Comparisons compute in it too, so -1 < 1u compares unsigned values.
+export function operationType(op, left, right) {
+    return op === '<<' || op === '>>' ? promote(left) : commonType(left, right);
+}
+
+// Does converting a value from one type to another change how it is represented? Integers are all
+// plain numbers in the TAC, so only conversions to or from floating point are made explicit.
+export function needsConversion(from, to) {
+    return isArithmetic(from) && isArithmetic(to) && !from.equals(to) && (from.isFloating() || to.isFloating());
+}
+
+// Canonical name of the scalar type spelled by a list of specifier keywords, in any order:
+// ['long', 'unsigned', 'int'] -> 'unsigned long'. Null if the keywords do not make a type.
+export function scalarTypeName(keywords) {
+    const count = keyword => keywords.filter(k => k === keyword).length;
+    const signs = count('signed') + count('unsigned');
+    const shorts = count('short');
+    const longs = count('long');
+    const others = keywords.filter(k => !['signed', 'unsigned', 'short', 'long', 'int'].includes(k));
+    if (signs > 1 || count('int') > 1 || others.length > 1 || shorts > 1 || longs > 2 || (shorts && longs)) return null;
+
+    switch (others[0]) {
+        case 'void':
+        case 'float':
+            return keywords.length === 1 ? others[0] : null;
+        case 'double':
+            if (keywords.length === 1) return 'double';
+            return keywords.length === 2 && longs === 1 ? 'long double' : null;
+        case 'char':
+            if (keywords.length === 1) return 'char';
+            return keywords.length === 2 && signs ? `${count('unsigned') ? 'unsigned' : 'signed'} char` : null;
+    }
+
+    // Integer types; a lone 'signed' or 'unsigned' means int
+    const size = shorts ? 'short' : longs === 2 ? 'long long' : longs ? 'long' : 'int';
+    return count('unsigned') ? `unsigned ${size}` : size;
+}
+
+// The const-qualified version of `type`. Struct types are shared by every declaration that names
+// them, so the qualified type is a view that reads through to the original instead of a copy.
+// A const array is an array of const elements.
+export function withConst(type) {
+    if (type instanceof ArrayType) return new ArrayType(withConst(type.elementType), type.length);
+    if (type.isConst) return type;
+    const qualified = Object.create(type);
+    qualified.isConst = true;
+    return qualified;
+}
+
+// Arrays used as values decay to a pointer to their first element
+export function decay(type) {
+    return type instanceof ArrayType ? new PointerType(type.elementType) : type;
+}
+
+// Arrays and structs are initialized with brace lists
+export function isAggregate(type) {
+    return type instanceof ArrayType || type instanceof StructType;
+}
+
+// Every scalar inside a type, in memory order: [{ offset, type }]
+export function scalarSlots(type, offset = 0) {
+    if (type instanceof ArrayType) {
+        const elementSize = type.elementType.size();
+        return Array.from({ length: type.length ?? 0 }, (_, i) => scalarSlots(type.elementType, offset + i * elementSize)).flat();
+    }
+    if (type instanceof StructType) {
+        return (type.fields ?? []).flatMap(field => scalarSlots(field.type, offset + field.offset));
+    }
+    return [{ offset, type }];
+}
+
+// Flatten a (possibly nested) initializer list for `type` into row-major { offset, value, type } entries,
+// where type is the scalar the value initializes. Each entry also says where its value sits in the
+// tree (items[index]), so it can be replaced. Structs take their members in declaration order.
+// Braces may be elided as in C: int m[2][2] = {1, 2, 3, 4}.
+// `count` is how many top-level elements were initialized (used for `int a[] = {...}`);
+// `overflow` is set when there are more initializers than elements.
+export function flattenInitializer(list, type) {
+    const entries = [];
+    let overflow = false;
+
+    // Fill one element or member of type `t`: a nested list fills it exactly, otherwise it takes what it needs
+    const fillElement = (t, items, next, offset) => {
+        if (items[next] instanceof InitializerListNode && isAggregate(t)) {
+            fillBraced(t, items[next], offset);
+            return next + 1;
+        }
+        return fill(t, items, next, offset).next;
+    };
+
+    // Fill `t` at byte `offset` from items[start...]; returns { next, count }
+    const fill = (t, items, start, offset) => {
+        if (t instanceof StructType) {
+            let next = start;
+            let count = 0;
+            for (const field of t.fields ?? []) {
+                if (next >= items.length) break;
+                next = fillElement(field.type, items, next, offset + field.offset);
+                count++;
+            }
+            return { next, count };
+        }
+
+        if (!(t instanceof ArrayType)) {
+            const item = items[start];
+            if (item === undefined) return { next: start, count: 0 };
+            if (item instanceof InitializerListNode) fillBraced(t, item, offset);
+            else entries.push({ offset, value: item, type: t, items, index: start });
+            return { next: start + 1, count: 1 };
+        }
+
+        const elementSize = t.elementType.size();
+        let next = start;
+        let count = 0;
+        while ((t.length === null || count < t.length) && next < items.length) {
+            next = fillElement(t.elementType, items, next, offset + count * elementSize);
+            count++;
+        }
+        return { next, count };
+    };
+
+    const fillBraced = (t, braced, offset) => {
+        const { next, count } = fill(t, braced.elements, 0, offset);
+        if (next < braced.elements.length) overflow = true;
+        return count;
+    };
+
+    const count = fillBraced(type, list, 0);
+    return { entries, count, overflow };
+}
@@ -11,3 +11,11 @@ export function escapeHtml(str) {
         "'": '&#039;'
     }[m]));
 }
+
+// Describe a source position for diagnostics, e.g. "line 4:7" or "line 2 in helpers.h"
+export function formatPosition({ line, col = null, file = null }) {
+    let text = `line ${line}`;
+    if (col !== null) text += `:${col}`;
+    if (file) text += ` in ${file}`;
+    return text;
+}